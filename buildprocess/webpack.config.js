@@ -19,7 +19,10 @@ module.exports = function ({ devMode, baseHref = "/" }) {
     output: {
       path: path.resolve(__dirname, "..", "wwwroot", "build"),
       filename: "TerriaMap.js",
-      publicPath: "/twin/build/",
+      // Chunks are loaded relative to TerriaMap.js and assets relative to the
+      // file that uses them, so TerriaMap.css finds its url()s next to it and
+      // the build works under any <base href>
+      publicPath: "auto",
       sourcePrefix: "", // to avoid breaking multi-line string literals by inserting extra tabs.
       globalObject: "(self || window)" // to avoid breaking in web worker (https://github.com/webpack/webpack/issues/6642)
     },
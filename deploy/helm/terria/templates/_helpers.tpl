@@ -22,3 +22,13 @@ We truncate at 63 chars because some Kubernetes name fields are limited to this
 "{{ .Values.image.repository | default .Values.global.image.repository }}/{{ .Chart.Name }}:{{ .Values.image.tag | default .Values.global.image.tag | default "latest" }}"
 {{- end -}}
 {{- end -}}
+
+{{/*
+Path the map is served under, from serverConfig.basePath (default: /twin),
+without a trailing "/" so endpoints can be appended. The root, set as "" or
+"/", is "".
+*/}}
+{{- define "terriamap.basePath" -}}
+{{- $serverConfig := .Values.serverConfig | default dict -}}
+{{- ternary $serverConfig.basePath "/twin" (hasKey $serverConfig "basePath") | trimSuffix "/" -}}
+{{- end -}}
@@ -19,15 +19,23 @@ var watchOptions = {
   interval: 1000
 };
 
+// The --baseHref argument, else the base path the server uses (BASE_PATH or
+// serverconfig.json's "basePath"). The server sets the page's <base href> to
+// its own base path, so this only matters when wwwroot is served some other way.
 const getBaseHref = () => {
   var minimist = require("minimist");
+  var { readBasePath } = require("./server/lib/basePath");
+  // BASE_PATH may be set in .env, as for the server
+  require("dotenv").config();
   // Arguments written in skewer-case can cause problems (unsure why), so stick to camelCase
   var options = minimist(process.argv.slice(2), {
-    string: ["baseHref"],
-    default: { baseHref: "/" }
+    string: ["baseHref"]
   });
 
-  return options.baseHref;
+  return (
+    options.baseHref ||
+    `${readBasePath(path.join(__dirname, "serverconfig.json"))}/`
+  );
 };
 
 gulp.task("check-terriajs-dependencies", function (done) {
@@ -93,15 +101,9 @@ gulp.task("update-config", function (done) {
 
 gulp.task("render-index", function renderIndex(done) {
   var ejs = require("ejs");
-  var minimist = require("minimist");
-  // Arguments written in skewer-case can cause problems (unsure why), so stick to camelCase
-  var options = minimist(process.argv.slice(2), {
-    string: ["baseHref"],
-    default: { baseHref: "/" }
-  });
 
   var index = fs.readFileSync("wwwroot/index.ejs", "utf8");
-  var indexResult = ejs.render(index, { baseHref: options.baseHref });
+  var indexResult = ejs.render(index, { baseHref: getBaseHref() });
 
   fs.writeFileSync(path.join("wwwroot", "index.html"), indexResult);
   done();
@@ -169,10 +171,10 @@ gulp.task(
         var fs = require("fs");
         var watchWebpack = require("terriajs/buildprocess/watchWebpack");
         var webpack = require("webpack");
-        var webpackConfig = require("./buildprocess/webpack.config.js")(
-          true,
-          false
-        );
+        var webpackConfig = require("./buildprocess/webpack.config.js")({
+          devMode: true,
+          baseHref: getBaseHref()
+        });
 
         checkForDuplicateCesium();
 
@@ -2,40 +2,33 @@ import ConsoleAnalytics from "terriajs/lib/Core/ConsoleAnalytics";
 import GoogleAnalytics from "terriajs/lib/Core/GoogleAnalytics";
 import registerCatalogMembers from "terriajs/lib/Models/Catalog/registerCatalogMembers";
 import registerSearchProviders from "terriajs/lib/Models/SearchProviders/registerSearchProviders";
-import ShareDataService from "terriajs/lib/Models/ShareDataService";
 import Terria from "terriajs/lib/Models/Terria";
 import ViewState from "terriajs/lib/ReactViewModels/ViewState";
 import registerCustomComponentTypes from "terriajs/lib/ReactViews/Custom/registerCustomComponentTypes";
 import updateApplicationOnHashChange from "terriajs/lib/ViewModels/updateApplicationOnHashChange";
 import updateApplicationOnMessageFromParentWindow from "terriajs/lib/ViewModels/updateApplicationOnMessageFromParentWindow";
+import AuthRequestLayer from "./lib/Core/AuthRequestLayer";
 import loadPlugins from "./lib/Core/loadPlugins";
+import PrivateShareDataService from "./lib/Core/PrivateShareDataService";
+import unloadPrivateCatalog from "./lib/Core/unloadPrivateCatalog";
+import { authStore } from "./lib/Views/authStore";
 import showGlobalDisclaimer from "./lib/Views/showGlobalDisclaimer";
 import plugins from "./plugins";
 import Cookies from "js-cookie";
-import { jwtDecode } from "jwt-decode";
+import { reaction } from "mobx";
 
-// Helper function to check if user is authenticated
-const isUserAuthenticated = () => {
-  const accessToken = Cookies.get("access_token");
-
-  if (!accessToken) {
-    return false;
-  }
-
-  try {
-    const decoded = jwtDecode(accessToken);
-    const currentTime = Date.now() / 1000;
+// IDs of catalog members added from the private catalog
+const privateCatalogMemberIds = new Set();
 
-    // Check if token is expired
-    if (decoded.exp < currentTime) {
-      return false;
+// Shares that include private catalog members must only be visible to logged in users
+const getShareVisibility = (shareData) => {
+  const json = JSON.stringify(shareData);
+  for (const id of privateCatalogMemberIds) {
+    if (json.includes(JSON.stringify(id))) {
+      return "authenticated";
     }
-
-    return true;
-  } catch (error) {
-    console.error("Failed to decode token:", error);
-    return false;
   }
+  return "public";
 };
 
 // Helper function to load private catalog with authentication
@@ -50,8 +43,10 @@ const loadPrivateCatalogWithAuth = async (terria) => {
   try {
     console.log("Loading private catalog with authentication...");
 
-    // Fetch the catalog JSON with auth header
+    // Fetch the catalog JSON with auth header. Don't let the browser keep a
+    // copy once the user has logged out.
     const response = await fetch("/api/twin/private-catalog.json", {
+      cache: "no-store",
       credentials: "include",
       headers: {
         Authorization: `Bearer ${accessToken}`,
@@ -70,11 +65,18 @@ const loadPrivateCatalogWithAuth = async (terria) => {
     const catalogData = await response.json();
     console.log("Private catalog data:", catalogData);
 
+    // The user may have logged out while the catalog was loading
+    if (!authStore.isAuthenticated) {
+      return;
+    }
+
     // Load the catalog into terria
     if (catalogData.catalog && Array.isArray(catalogData.catalog)) {
       console.log("Checking for new catalog items...");
 
       try {
+        const memberIdsBefore = new Set(terria.catalog.group.members);
+
         // Get existing catalog member names/IDs
         const existingMembers = terria.catalog.group.memberModels || [];
         const existingNames = new Set(
@@ -110,6 +112,11 @@ const loadPrivateCatalogWithAuth = async (terria) => {
           console.log("Item added, result:", result);
         }
 
+        // Remember which members came from the private catalog
+        terria.catalog.group.members
+          .filter((id) => !memberIdsBefore.has(id))
+          .forEach((id) => privateCatalogMemberIds.add(id));
+
         console.log(
           "Final catalog order:",
           terria.catalog.group.memberModels?.map((m) => m.name || m.uniqueId)
@@ -134,7 +141,7 @@ const loadPrivateCatalogWithAuth = async (terria) => {
 };
 
 const terriaOptions = {
-  baseUrl: "/twin/build/TerriaJS"
+  baseUrl: "build/TerriaJS"
 };
 
 // we check exact match for development to reduce chances that production flag isn't set on builds(?)
@@ -147,84 +154,24 @@ if (process.env.NODE_ENV === "development") {
 // Construct the TerriaJS application, arrange to show errors to the user, and start it up.
 const terria = new Terria(terriaOptions);
 
-// Configure authentication for all API requests
-// Intercept XMLHttpRequest for data loading
-const originalXHROpen = XMLHttpRequest.prototype.open;
-const originalXHRSend = XMLHttpRequest.prototype.send;
-
-XMLHttpRequest.prototype.open = function (method, url, ...args) {
-  this._url = url;
-  return originalXHROpen.apply(this, [method, url, ...args]);
-};
-
-XMLHttpRequest.prototype.send = function (...args) {
-  // If request is to /api/ (but NOT /api/auth/*), add authentication header
-  // Skip auth endpoints to avoid interfering with the AuthProvider
-  if (
-    this._url &&
-    (this._url.includes("/api/") || this._url.includes("codex.localhost")) &&
-    !this._url.includes("/api/accounts/")
-  ) {
-    const accessToken = Cookies.get("access_token");
-    if (accessToken && !this.getResponseHeader("Authorization")) {
-      console.log("Adding auth header to XHR request:", this._url);
-      try {
-        this.setRequestHeader("Authorization", `Bearer ${accessToken}`);
-      } catch (e) {
-        console.warn(
-          "Failed to set Authorization header (may already be sent):",
-          e.message
-        );
-      }
-    }
-  }
-  return originalXHRSend.apply(this, args);
-};
-
-// Also intercept fetch API
-const originalFetch = window.fetch;
-window.fetch = function (url, options = {}) {
-  // If request is to /api/ (but NOT /api/auth/*), add authentication header
-  // Skip auth endpoints to avoid interfering with the AuthProvider
-  const urlString = typeof url === "string" ? url : url.url;
-  if (
-    urlString &&
-    (urlString.includes("/api/") || urlString.includes("codex.localhost")) &&
-    !urlString.includes("/api/accounts/")
-  ) {
-    const accessToken = Cookies.get("access_token");
-    if (accessToken) {
-      console.log("Adding auth header to fetch request:", urlString);
-
-      // Don't override if Authorization header already exists
-      const existingHeaders = options.headers || {};
-      const hasAuthHeader =
-        existingHeaders instanceof Headers
-          ? existingHeaders.has("Authorization")
-          : existingHeaders.Authorization || existingHeaders.authorization;
-
-      if (!hasAuthHeader) {
-        // Create a new options object to avoid mutating the original
-        options = {
-          ...options,
-          headers:
-            existingHeaders instanceof Headers
-              ? existingHeaders
-              : {
-                  ...existingHeaders,
-                  Authorization: `Bearer ${accessToken}`
-                }
-        };
-
-        // If it was a Headers object, add the auth header properly
-        if (options.headers instanceof Headers) {
-          options.headers.set("Authorization", `Bearer ${accessToken}`);
-        }
-      }
-    }
-  }
-  return originalFetch.call(this, url, options);
-};
+// Add the access token to requests to the trusted URLs in config.json's
+// "authRequests", including TerriaJS's own requests for private data, and
+// keep it fresh while the map is open
+const authRequests = new AuthRequestLayer({
+  getToken: () => Cookies.get("access_token"),
+  setToken: (token) => {
+    Cookies.set("access_token", token, {
+      path: "/",
+      sameSite: "Lax",
+      secure: window.location.protocol === "https:"
+    });
+    authStore.update();
+  },
+  getRefreshToken: () => Cookies.get("refresh_token"),
+  onLoginRequired: () => authStore.requestLogin()
+});
+authRequests.install();
+const authRequestsLoaded = authRequests.loadSettings("config.json");
 
 // Create the ViewState before terria.start so that errors have somewhere to go.
 const viewState = new ViewState({
@@ -252,16 +199,22 @@ export default terria
   .start({
     applicationUrl: window.location,
     configUrl: "config.json",
-    shareDataService: new ShareDataService({
-      terria: terria
+    shareDataService: new PrivateShareDataService({
+      terria: terria,
+      getVisibility: getShareVisibility,
+      onLoginRequired: () => authStore.requestLogin()
     }),
     beforeRestoreAppState: () => {
       // Load plugins before restoring app state because app state may
-      // reference plugin components and catalog items.
-      return loadPlugins(viewState, plugins).catch((error) => {
-        console.error(`Error loading plugins`);
-        console.error(error);
-      });
+      // reference plugin components and catalog items. Init sources may
+      // need the access token, so also wait for the trusted URLs.
+      return Promise.all([
+        authRequestsLoaded,
+        loadPlugins(viewState, plugins).catch((error) => {
+          console.error(`Error loading plugins`);
+          console.error(error);
+        })
+      ]);
     }
   })
   .catch(function (e) {
@@ -279,7 +232,7 @@ export default terria
     terria.loadInitSources().then((result) => result.raiseError(terria));
 
     // Load private catalog if user is authenticated (always check for updates)
-    if (isUserAuthenticated()) {
+    if (authStore.isAuthenticated) {
       console.log(
         "User is authenticated, checking for private catalog updates..."
       );
@@ -315,30 +268,47 @@ export default terria
     return { terria, viewState };
   })
   .then(({ terria, viewState }) => {
-    // Track previous authentication state to detect changes
-    let wasAuthenticated = isUserAuthenticated();
-
-    // Listen for authentication changes (when user logs in)
-    const checkAndLoadPrivateCatalog = () => {
-      const nowAuthenticated = isUserAuthenticated();
+    // Follow the user logging in and out, in this tab or another one
+    reaction(
+      () => authStore.isAuthenticated,
+      (isAuthenticated) => {
+        if (isAuthenticated) {
+          console.log(
+            "User authenticated, checking for private catalog updates..."
+          );
+          loadPrivateCatalogWithAuth(terria).catch((error) => {
+            console.error("Failed to load private catalog after login:", error);
+          });
 
-      // Only load catalog when authentication state changes from false to true (user just logged in)
-      if (nowAuthenticated && !wasAuthenticated) {
-        console.log(
-          "User authenticated via periodic check, checking for private catalog updates..."
-        );
-        loadPrivateCatalogWithAuth(terria).catch((error) => {
-          console.error("Failed to load private catalog after login:", error);
-        });
+          // Open the private share link that needed the user to log in
+          if (terria.shareDataService?.pendingShareToken) {
+            terria.updateApplicationUrl(window.location.href);
+          }
+        } else if (!authStore.token) {
+          // The user logged out, here or in another tab, so private data
+          // mustn't stay on the map. An expired token is left for the user
+          // to log in again without losing their view.
+          console.log("User logged out, removing private catalog...");
+          const hadPrivateCatalog = privateCatalogMemberIds.size > 0;
+          const removedLayers = unloadPrivateCatalog(
+            viewState,
+            privateCatalogMemberIds
+          );
+          if (hadPrivateCatalog) {
+            const layerList = removedLayers
+              .map((name) => `- ${name}`)
+              .join("\n");
+            terria.notificationState.addNotificationToQueue({
+              title: "Logged out",
+              message:
+                removedLayers.length > 0
+                  ? `The private catalog and these private layers have been removed from the map:\n\n${layerList}`
+                  : "The private catalog has been removed from the map."
+            });
+          }
+        }
       }
-
-      // Update the previous state
-      wasAuthenticated = nowAuthenticated;
-    };
-
-    // Check periodically for authentication changes
-    // This will catch when user logs in through the modal
-    setInterval(checkAndLoadPrivateCatalog, 2000);
+    );
 
     return { terria, viewState };
   });
@@ -0,0 +1,436 @@
+import { jwtDecode } from "jwt-decode";
+
+/**
+ * Which requests carry the access token, set by "authRequests" in config.json.
+ * URLs are origins, or origins and paths, and may be relative to the map.
+ */
+export interface AuthRequestSettings {
+  /** URLs whose requests get the access token, e.g. "/api/" or "https://data.example.com" */
+  trustedUrls?: string[];
+  /** URLs under the trusted ones that must not get it, e.g. the auth service's own endpoints */
+  excludedUrls?: string[];
+  /** Codex auth endpoint that issues a new access token */
+  refreshUrl?: string;
+  /** Seconds before the access token expires to refresh it */
+  refreshBefore?: number;
+}
+
+export const DEFAULT_AUTH_REQUEST_SETTINGS: Required<AuthRequestSettings> = {
+  trustedUrls: ["/api/"],
+  excludedUrls: ["/api/accounts/"],
+  refreshUrl: "/api/accounts/token/refresh/",
+  refreshBefore: 60
+};
+
+interface AuthRequestLayerOptions {
+  /** Current access token */
+  getToken: () => string | undefined;
+  /** Store an access token returned in the body of a refresh response */
+  setToken: (token: string) => void;
+  /** Refresh token to send to the refresh endpoint, if the browser can read it */
+  getRefreshToken?: () => string | undefined;
+  /** Called when the access token can't be refreshed, to ask the user to log in */
+  onLoginRequired?: () => void;
+  settings?: AuthRequestSettings;
+}
+
+interface UrlPrefix {
+  origin: string;
+  path: string;
+}
+
+// An XMLHttpRequest and what's needed to send it again
+interface TrackedRequest {
+  openArgs: [string, string | URL, boolean, ...any[]];
+  headers: [string, string][];
+  body?: Document | XMLHttpRequestBodyInit | null;
+  hasAuthorization: boolean;
+  sentToken?: string;
+  retried: boolean;
+  // Whether the events of a response that will be retried are being hidden
+  hiding: boolean;
+}
+
+function parseUrl(url: string | URL): URL | undefined {
+  try {
+    return new URL(url, document.baseURI);
+  } catch {
+    return undefined;
+  }
+}
+
+function parsePrefixes(urls: string[]): UrlPrefix[] {
+  const prefixes: UrlPrefix[] = [];
+  for (const url of urls) {
+    const parsed = parseUrl(url);
+    if (parsed) {
+      prefixes.push({ origin: parsed.origin, path: parsed.pathname });
+    } else {
+      console.warn(`Ignoring invalid authRequests URL "${url}"`);
+    }
+  }
+  return prefixes;
+}
+
+// Paths only match whole segments, so "/api" doesn't match "/api-docs"
+function matchesPrefix(url: URL, prefix: UrlPrefix): boolean {
+  if (url.origin !== prefix.origin) {
+    return false;
+  }
+  const path = prefix.path.endsWith("/") ? prefix.path : `${prefix.path}/`;
+  return url.pathname === prefix.path || url.pathname.startsWith(path);
+}
+
+// Expiry of a JWT in milliseconds, if it has one
+function tokenExpiry(token: string): number | undefined {
+  try {
+    const { exp } = jwtDecode(token);
+    return typeof exp === "number" ? exp * 1000 : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Adds the user's access token to requests to trusted URLs, and only those.
+ *
+ * Our own code can call `fetch` directly. `install` also wraps the browser's
+ * `fetch` and `XMLHttpRequest`, so TerriaJS's own requests for private data
+ * (catalogs, GeoJSON, WMS, ...) are authenticated too. A request that
+ * already has an Authorization header is left alone.
+ *
+ * The access token is refreshed shortly before it expires, and a trusted
+ * request refused with 401 is retried once with a refreshed token. If the
+ * token can't be refreshed, the user is asked to log in.
+ */
+export default class AuthRequestLayer {
+  private trusted: UrlPrefix[] = [];
+  private excluded: UrlPrefix[] = [];
+  private refreshUrl = DEFAULT_AUTH_REQUEST_SETTINGS.refreshUrl;
+  private refreshBefore = DEFAULT_AUTH_REQUEST_SETTINGS.refreshBefore;
+  private installed = false;
+  private readonly originalFetch = window.fetch.bind(window);
+
+  private refreshing: Promise<string | undefined> | undefined;
+  private refreshTimer: ReturnType<typeof setTimeout> | undefined;
+  // Token the refresh timer was set for
+  private scheduledToken: string | undefined;
+  // Token that couldn't be refreshed, so the user is only asked to log in once
+  private failedToken: string | undefined;
+
+  constructor(private readonly options: AuthRequestLayerOptions) {
+    this.configure(options.settings ?? DEFAULT_AUTH_REQUEST_SETTINGS);
+  }
+
+  configure(settings: AuthRequestSettings) {
+    this.trusted = parsePrefixes(
+      settings.trustedUrls ?? DEFAULT_AUTH_REQUEST_SETTINGS.trustedUrls
+    );
+    this.excluded = parsePrefixes(
+      settings.excludedUrls ?? DEFAULT_AUTH_REQUEST_SETTINGS.excludedUrls
+    );
+    this.refreshUrl =
+      settings.refreshUrl ?? DEFAULT_AUTH_REQUEST_SETTINGS.refreshUrl;
+    this.refreshBefore =
+      settings.refreshBefore ?? DEFAULT_AUTH_REQUEST_SETTINGS.refreshBefore;
+    this.scheduleRefresh(true);
+  }
+
+  /**
+   * Read "authRequests" from the map's config file. The defaults stay in
+   * place if the file has none or can't be loaded.
+   */
+  async loadSettings(configUrl: string): Promise<void> {
+    try {
+      const response = await this.originalFetch(configUrl);
+      const config = await response.json();
+      if (config.authRequests) {
+        this.configure(config.authRequests);
+      }
+    } catch (error) {
+      console.warn(`Failed to load authRequests from ${configUrl}`, error);
+    }
+  }
+
+  /** Whether requests to a URL should carry the access token */
+  isTrusted(url: string | URL): boolean {
+    const parsed = parseUrl(url);
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+      return false;
+    }
+    return (
+      this.trusted.some((prefix) => matchesPrefix(parsed, prefix)) &&
+      !this.excluded.some((prefix) => matchesPrefix(parsed, prefix))
+    );
+  }
+
+  /** Access token for a request to a URL, if it should have one */
+  tokenFor(url: string | URL): string | undefined {
+    if (!this.isTrusted(url)) {
+      return undefined;
+    }
+    this.scheduleRefresh();
+    return this.options.getToken();
+  }
+
+  // Set a timer to refresh the current token before it expires. Only done
+  // again when the token changes, e.g. when the user logs in.
+  private scheduleRefresh(force = false) {
+    const token = this.options.getToken();
+    if (!force && token === this.scheduledToken) {
+      return;
+    }
+    this.scheduledToken = token;
+    clearTimeout(this.refreshTimer);
+    const expiry = token ? tokenExpiry(token) : undefined;
+    if (expiry === undefined) {
+      return;
+    }
+    // Longer timeouts overflow and fire immediately
+    const delay = Math.min(
+      Math.max(0, expiry - this.refreshBefore * 1000 - Date.now()),
+      0x7fffffff
+    );
+    this.refreshTimer = setTimeout(() => this.refresh(), delay);
+  }
+
+  // Whether a token has expired or is about to
+  private expiresSoon(token: string): boolean {
+    const expiry = tokenExpiry(token);
+    return (
+      expiry !== undefined && expiry - this.refreshBefore * 1000 <= Date.now()
+    );
+  }
+
+  /**
+   * Get a new access token from the Codex auth service. Concurrent calls
+   * share one request.
+   * @returns The new token, or undefined if it couldn't be refreshed
+   */
+  refresh(): Promise<string | undefined> {
+    if (!this.refreshing) {
+      this.refreshing = this.requestToken().finally(() => {
+        this.refreshing = undefined;
+      });
+    }
+    return this.refreshing;
+  }
+
+  private async requestToken(): Promise<string | undefined> {
+    const previous = this.options.getToken();
+    try {
+      const refreshToken = this.options.getRefreshToken?.();
+      const response = await this.originalFetch(this.refreshUrl, {
+        method: "POST",
+        credentials: "include",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json"
+        },
+        body: JSON.stringify(refreshToken ? { refresh: refreshToken } : {})
+      });
+      if (!response.ok) {
+        throw new Error(`Token refresh failed with ${response.status}`);
+      }
+      // The auth service either sets a new access_token cookie itself or
+      // returns the token
+      const body = await response.json().catch(() => ({}));
+      const token = body.access ?? body.access_token;
+      if (typeof token === "string") {
+        this.options.setToken(token);
+      }
+      const current = this.options.getToken();
+      if (!current || current === previous) {
+        throw new Error("Token refresh returned no new access token");
+      }
+      this.failedToken = undefined;
+      this.scheduleRefresh(true);
+      return current;
+    } catch (error) {
+      console.warn("Failed to refresh the access token", error);
+      // Only ask users who were logged in, and only once per token
+      if (previous && previous !== this.failedToken) {
+        this.failedToken = previous;
+        this.options.onLoginRequired?.();
+      }
+      return undefined;
+    }
+  }
+
+  // Token to send to a URL, refreshed first if it's about to expire
+  private async freshTokenFor(url: string | URL): Promise<string | undefined> {
+    const token = this.tokenFor(url);
+    if (token && (this.refreshing || this.expiresSoon(token))) {
+      return (await this.refresh()) ?? token;
+    }
+    return token;
+  }
+
+  /** `fetch` that adds the access token to requests to trusted URLs */
+  fetch = async (
+    input: RequestInfo | URL,
+    init?: RequestInit
+  ): Promise<Response> => {
+    const url = input instanceof Request ? input.url : input;
+    // As in fetch itself, headers in init replace those of a Request
+    const headers = new Headers(
+      init?.headers ?? (input instanceof Request ? input.headers : undefined)
+    );
+    const token = headers.has("Authorization")
+      ? undefined
+      : await this.freshTokenFor(url);
+    if (!token) {
+      return this.originalFetch(input, init);
+    }
+
+    // A Request's body can only be read once, so keep a copy for the retry
+    const retryInput = input instanceof Request ? input.clone() : input;
+    headers.set("Authorization", `Bearer ${token}`);
+    const response = await this.originalFetch(input, { ...init, headers });
+    if (response.status !== 401) {
+      return response;
+    }
+
+    const refreshed = await this.refresh();
+    if (!refreshed) {
+      return response;
+    }
+    headers.set("Authorization", `Bearer ${refreshed}`);
+    return this.originalFetch(retryInput, { ...init, headers });
+  };
+
+  /** Authenticate requests made with the browser's `fetch` and `XMLHttpRequest` */
+  install() {
+    if (this.installed) {
+      return;
+    }
+    this.installed = true;
+
+    window.fetch = this.fetch;
+
+    const layer = this;
+    const requests = new WeakMap<XMLHttpRequest, TrackedRequest>();
+    const { open, setRequestHeader, send } = XMLHttpRequest.prototype;
+
+    const sendWithToken = (
+      xhr: XMLHttpRequest,
+      request: TrackedRequest,
+      token: string | undefined
+    ) => {
+      if (token) {
+        request.sentToken = token;
+        setRequestHeader.call(xhr, "Authorization", `Bearer ${token}`);
+      }
+      send.call(xhr, request.body);
+    };
+
+    // Open and send a request again with a refreshed token
+    const retry = async (xhr: XMLHttpRequest, request: TrackedRequest) => {
+      const token = await layer.refresh();
+      request.hiding = false;
+      if (!token) {
+        // Show the caller the 401 after all
+        xhr.dispatchEvent(new Event("readystatechange"));
+        xhr.dispatchEvent(new ProgressEvent("load"));
+        xhr.dispatchEvent(new ProgressEvent("loadend"));
+        return;
+      }
+      (open as any).apply(xhr, request.openArgs);
+      for (const [name, value] of request.headers) {
+        setRequestHeader.call(xhr, name, value);
+      }
+      sendWithToken(xhr, request, token);
+    };
+
+    // Hide the events of a 401 response to a request we sent the token
+    // with, and retry it. These listeners are added on open and use capture,
+    // so they run before the caller's own listeners.
+    const onReadyStateChange = function (this: XMLHttpRequest, event: Event) {
+      const request = requests.get(this);
+      if (
+        !request ||
+        !event.isTrusted ||
+        this.readyState !== XMLHttpRequest.DONE ||
+        this.status !== 401 ||
+        !request.sentToken ||
+        !request.openArgs[2] ||
+        request.retried
+      ) {
+        return;
+      }
+      request.retried = true;
+      request.hiding = true;
+      event.stopImmediatePropagation();
+      // Let the response's load and loadend events pass first
+      setTimeout(() => retry(this, request));
+    };
+    const hideEvent = function (this: XMLHttpRequest, event: Event) {
+      if (requests.get(this)?.hiding && event.isTrusted) {
+        event.stopImmediatePropagation();
+      }
+    };
+
+    XMLHttpRequest.prototype.open = function (
+      this: XMLHttpRequest,
+      method: string,
+      url: string | URL,
+      async = true,
+      ...rest: any[]
+    ) {
+      if (!requests.has(this)) {
+        this.addEventListener("readystatechange", onReadyStateChange, true);
+        this.addEventListener("load", hideEvent, true);
+        this.addEventListener("loadend", hideEvent, true);
+      }
+      requests.set(this, {
+        openArgs: [method, url, async, ...rest],
+        headers: [],
+        hasAuthorization: false,
+        retried: false,
+        hiding: false
+      });
+      return (open as any).call(this, method, url, async, ...rest);
+    };
+
+    XMLHttpRequest.prototype.setRequestHeader = function (
+      this: XMLHttpRequest,
+      name: string,
+      value: string
+    ) {
+      const request = requests.get(this);
+      if (request) {
+        request.headers.push([name, value]);
+        if (name.toLowerCase() === "authorization") {
+          request.hasAuthorization = true;
+        }
+      }
+      return setRequestHeader.call(this, name, value);
+    };
+
+    XMLHttpRequest.prototype.send = function (
+      this: XMLHttpRequest,
+      body?: Document | XMLHttpRequestBodyInit | null
+    ) {
+      const request = requests.get(this);
+      if (!request || request.hasAuthorization) {
+        return send.call(this, body);
+      }
+      request.body = body;
+      const token = layer.tokenFor(request.openArgs[1]);
+      // Synchronous requests can't wait for a refresh
+      if (
+        !token ||
+        !request.openArgs[2] ||
+        (!layer.refreshing && !layer.expiresSoon(token))
+      ) {
+        return sendWithToken(this, request, token);
+      }
+      layer.refresh().then((refreshed) => {
+        // Unless the caller has reopened the request meanwhile
+        if (requests.get(this) === request) {
+          sendWithToken(this, request, refreshed ?? token);
+        }
+      });
+    };
+  }
+}
@@ -0,0 +1,140 @@
+import { JsonObject } from "terriajs/lib/Core/Json";
+import loadWithXhr from "terriajs/lib/Core/loadWithXhr";
+import TerriaError from "terriajs/lib/Core/TerriaError";
+import ShareDataService from "terriajs/lib/Models/ShareDataService";
+import Terria from "terriajs/lib/Models/Terria";
+
+export type ShareVisibility = "public" | "authenticated" | "owner";
+
+interface PrivateShareDataServiceOptions {
+  terria: Terria;
+  url?: string;
+  /** Decide the visibility of a new share from the data being shared */
+  getVisibility?: (shareData: any) => ShareVisibility;
+  /** Called when a share can't be opened until the user logs in */
+  onLoginRequired?: () => void;
+}
+
+/**
+ * Share data service that understands the visibility of shares.
+ *
+ * Shares containing private data are created with a restricted visibility, and
+ * resolving a share the server refuses with 401 asks the user to log in instead
+ * of showing a generic error. Missing, expired and forbidden shares are
+ * reported as such.
+ */
+export default class PrivateShareDataService extends ShareDataService {
+  private readonly getVisibility: (shareData: any) => ShareVisibility;
+  private readonly onLoginRequired: () => void;
+
+  /** Token of a share that couldn't be opened until the user logs in */
+  pendingShareToken: string | undefined;
+
+  constructor(options: PrivateShareDataServiceOptions) {
+    super(options);
+    this.getVisibility = options.getVisibility ?? (() => "public");
+    this.onLoginRequired = options.onLoginRequired ?? (() => {});
+  }
+
+  async getShareToken(shareData: any): Promise<string> {
+    const visibility = this.getVisibility(shareData);
+    if (visibility === "public") {
+      return super.getShareToken(shareData);
+    }
+
+    if (!this.isUsable) {
+      throw TerriaError.from("`ShareDataService` is not usable");
+    }
+
+    try {
+      const result = await loadWithXhr({
+        url: `${this.url}?visibility=${visibility}`,
+        method: "POST",
+        data: JSON.stringify(shareData),
+        headers: { "Content-Type": "application/json" },
+        responseType: "json"
+      });
+      const json = typeof result === "string" ? JSON.parse(result) : result;
+      return json.id;
+    } catch (error) {
+      throw TerriaError.from(error, {
+        title: "Failed to create private share link",
+        message:
+          "This view contains private data, so the share link can only be created while you are logged in.",
+        importance: 1
+      });
+    }
+  }
+
+  async resolveData(token: string): Promise<JsonObject> {
+    if (!this.isUsable) {
+      throw TerriaError.from("`ShareDataService` is not usable");
+    }
+
+    // Tell the server where the link was opened from for its view analytics,
+    // as the Referer of this request is the map itself
+    let response: Response;
+    try {
+      response = await fetch(`${this.url}/${token}`, {
+        credentials: "include",
+        headers: {
+          Accept: "application/json",
+          "X-Share-Referrer": document.referrer
+        }
+      });
+    } catch {
+      // A share service on another origin may refuse the extra header, so
+      // try again with the plain request TerriaJS makes
+      return super.resolveData(token);
+    }
+
+    if (response.status === 401) {
+      this.pendingShareToken = token;
+      this.onLoginRequired();
+      // The login modal explains what to do, so don't also show an error
+      throw new TerriaError({
+        title: "Login required",
+        message: "This shared view is private. Log in to open it.",
+        overrideRaiseToUser: false
+      });
+    }
+
+    if (response.status === 403) {
+      throw new TerriaError({
+        title: "Access denied",
+        message:
+          "This shared view is private and your account does not have access to it.",
+        importance: 1
+      });
+    }
+
+    if (response.status === 404) {
+      throw new TerriaError({
+        title: "Shared view not found",
+        message:
+          "This share link doesn't exist. It may have been deleted, or mistyped.",
+        importance: 1
+      });
+    }
+
+    if (response.status === 410) {
+      throw new TerriaError({
+        title: "Shared view expired",
+        message:
+          "This share link has expired. Ask whoever sent it for a new link.",
+        importance: 1
+      });
+    }
+
+    if (!response.ok) {
+      throw new TerriaError({
+        title: "Failed to open shared view",
+        message: `The share service responded with ${response.status} ${response.statusText}.`,
+        importance: 1
+      });
+    }
+
+    this.pendingShareToken = undefined;
+    return response.json();
+  }
+}
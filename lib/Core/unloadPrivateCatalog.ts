@@ -0,0 +1,81 @@
+import { runInAction } from "mobx";
+import CatalogMemberMixin from "terriajs/lib/ModelMixins/CatalogMemberMixin";
+import GroupMixin from "terriajs/lib/ModelMixins/GroupMixin";
+import ReferenceMixin from "terriajs/lib/ModelMixins/ReferenceMixin";
+import CommonStrata from "terriajs/lib/Models/Definition/CommonStrata";
+import { BaseModel } from "terriajs/lib/Models/Definition/Model";
+import ViewState from "terriajs/lib/ReactViewModels/ViewState";
+
+const getName = (model: BaseModel) =>
+  (CatalogMemberMixin.isMixedInto(model) && model.name) || model.uniqueId;
+
+/**
+ * Remove the private catalog from the map after the user logs out: its
+ * members in the catalog, the models loaded from them and their layers on the
+ * workbench. Public layers and the camera are left as they are.
+ *
+ * @param viewState - The {@link ViewState} instance
+ * @param memberIds - IDs of the catalog members added from the private catalog. Emptied once they are removed.
+ * @returns Names of the private layers removed from the workbench
+ */
+export default function unloadPrivateCatalog(
+  viewState: ViewState,
+  memberIds: Set<string>
+): string[] {
+  const terria = viewState.terria;
+
+  // The private members, and every model loaded from them
+  const privateModels = new Set<BaseModel>();
+  const addModel = (model: BaseModel | undefined) => {
+    if (!model || privateModels.has(model)) {
+      return;
+    }
+    privateModels.add(model);
+    if (GroupMixin.isMixedInto(model)) {
+      model.memberModels.forEach(addModel);
+    }
+    if (ReferenceMixin.isMixedInto(model)) {
+      addModel(model.target);
+    }
+  };
+  memberIds.forEach((id) => addModel(terria.getModelById(BaseModel, id)));
+  // Members of groups are given IDs under their group's ID, which catches
+  // models that are no longer in a loaded group, e.g. from a share link
+  for (const [id, model] of terria.models) {
+    for (const memberId of memberIds) {
+      if (id.startsWith(`${memberId}/`)) {
+        addModel(model);
+      }
+    }
+  }
+
+  const removedLayers = terria.workbench.items
+    .filter((item) => privateModels.has(item))
+    .map(getName);
+
+  runInAction(() => {
+    terria.workbench.items
+      .filter((item) => privateModels.has(item))
+      .forEach((item) => {
+        terria.workbench.remove(item);
+        terria.timelineStack.remove(item);
+      });
+
+    if (viewState.previewedItem && privateModels.has(viewState.previewedItem)) {
+      viewState.previewedItem = undefined;
+    }
+
+    memberIds.forEach((id) => {
+      const member = terria.getModelById(BaseModel, id);
+      if (member) {
+        terria.catalog.group.remove(CommonStrata.user, member);
+      }
+    });
+
+    // Forget the models, along with any private data they have loaded
+    privateModels.forEach((model) => terria.removeModelReferences(model));
+  });
+
+  memberIds.clear();
+  return removedLayers;
+}
@@ -0,0 +1,178 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Relative to the page's <base href>, the path the map is served under
+const SHARE_API_URL = "share";
+
+const styles = {
+  container: {
+    position: "absolute",
+    top: "50%",
+    right: "180px",
+    transform: "translateY(-50%)",
+    zIndex: 1000
+  },
+  toggle: {
+    background: "transparent",
+    border: "1px solid currentColor",
+    borderRadius: "4px",
+    color: "inherit",
+    cursor: "pointer",
+    fontSize: "14px",
+    padding: "6px 12px"
+  },
+  panel: {
+    position: "absolute",
+    top: "calc(100% + 8px)",
+    right: 0,
+    width: "320px",
+    maxHeight: "400px",
+    overflowY: "auto",
+    background: "white",
+    color: "#333",
+    borderRadius: "8px",
+    boxShadow: "0 4px 16px rgba(0, 0, 0, 0.2)",
+    padding: "12px"
+  },
+  item: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: "8px",
+    padding: "8px 0",
+    borderBottom: "1px solid #eee"
+  },
+  link: {
+    color: "#1976d2",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap"
+  },
+  meta: {
+    color: "#888",
+    fontSize: "12px"
+  },
+  deleteButton: {
+    background: "#e74c3c",
+    border: "none",
+    borderRadius: "4px",
+    color: "white",
+    cursor: "pointer",
+    flexShrink: 0,
+    padding: "4px 8px"
+  },
+  message: {
+    color: "#666",
+    margin: 0
+  }
+};
+
+/**
+ * "My shared views" panel, listing the share links created by the logged in
+ * user with links to open them and buttons to delete them.
+ */
+const MySharedViews = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [shares, setShares] = useState([]);
+  const [status, setStatus] = useState("idle");
+
+  const loadShares = useCallback(async () => {
+    setStatus("loading");
+    try {
+      const response = await fetch(`${SHARE_API_URL}/mine`, {
+        credentials: "include",
+        headers: { Accept: "application/json" }
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const data = await response.json();
+      setShares(data.shares);
+      setStatus("idle");
+    } catch (error) {
+      console.error("Failed to load shared views:", error);
+      setStatus("error");
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadShares();
+    }
+  }, [isOpen, loadShares]);
+
+  const deleteShare = async (share) => {
+    const name = share.title || share.id;
+    if (!window.confirm(`Delete the shared view "${name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${SHARE_API_URL}/${encodeURIComponent(share.id)}`,
+        {
+          method: "DELETE",
+          credentials: "include"
+        }
+      );
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      setShares((current) => current.filter((s) => s.id !== share.id));
+    } catch (error) {
+      console.error("Failed to delete shared view:", error);
+      window.alert("Failed to delete shared view");
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <button
+        type="button"
+        style={styles.toggle}
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        My shared views
+      </button>
+      {isOpen ? (
+        <div style={styles.panel}>
+          {status === "loading" ? (
+            <p style={styles.message}>Loading…</p>
+          ) : status === "error" ? (
+            <p style={styles.message}>Could not load your shared views.</p>
+          ) : shares.length === 0 ? (
+            <p style={styles.message}>You haven&apos;t shared any views yet.</p>
+          ) : (
+            shares.map((share) => (
+              <div key={share.id} style={styles.item}>
+                <div style={{ minWidth: 0 }}>
+                  <a
+                    href={`./#share=${encodeURIComponent(share.id)}`}
+                    style={styles.link}
+                  >
+                    {share.title || share.id}
+                  </a>
+                  <div style={styles.meta}>
+                    {new Date(share.created).toLocaleDateString()}
+                    {share.expires
+                      ? ` · expires ${new Date(share.expires).toLocaleDateString()}`
+                      : null}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  style={styles.deleteButton}
+                  onClick={() => deleteShare(share)}
+                >
+                  Delete
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default MySharedViews;
@@ -1,10 +1,11 @@
+import { observer } from "mobx-react";
 import PropTypes from "prop-types";
 import RelatedMaps from "terriajs/lib/ReactViews/RelatedMaps/RelatedMaps";
 import { MenuLeft } from "terriajs/lib/ReactViews/StandardUserInterface/customizable/Groups";
 import MenuItem from "terriajs/lib/ReactViews/StandardUserInterface/customizable/MenuItem";
 import StandardUserInterface from "terriajs/lib/ReactViews/StandardUserInterface/StandardUserInterface";
 import version from "../../version";
-import { useEffect, useRef, useState } from "react";
+import { useEffect } from "react";
 import {
   AuthProvider,
   Navigation,
@@ -12,109 +13,103 @@ import {
   useAuth,
   Logo
 } from "@smartmetro/codex-auth";
-import Cookies from "js-cookie";
+import { authStore } from "./authStore";
+import MySharedViews from "./MySharedViews";
 
-export const TerriaUserInterfaceInner = ({
-  terria,
-  viewState,
-  themeOverrides
-}) => {
-  const [showLogin, setShowLogin] = useState(false);
-  const { isAuthenticated, user } = useAuth();
-  const prevAuthRef = useRef(isAuthenticated);
+export const TerriaUserInterfaceInner = observer(
+  ({ terria, viewState, themeOverrides }) => {
+    const { isAuthenticated: providerAuthenticated, user } = useAuth();
 
-  // Debug: Log authentication state changes
-  // useEffect(() => {
-  //  console.log("[UserInterface] Auth state changed:", {
-  //    isAuthenticated,
-  //    user,
-  //    hasAccessToken: !!Cookies.get("access_token")
-  //  });
-  // }, [isAuthenticated, user]);
+    // Logging in and out through the AuthProvider changes the cookies, so
+    // read them again when its state changes
+    useEffect(() => {
+      authStore.setUser(providerAuthenticated ? user : undefined);
+      authStore.update();
+    }, [providerAuthenticated, user]);
 
-  // Force refresh when user logs out (isAuthenticated becomes false)
-  useEffect(() => {
-    if (prevAuthRef.current === true && isAuthenticated === false) {
-      console.log("[UserInterface] User logged out, refreshing page...");
-      window.location.reload();
-    }
-    prevAuthRef.current = isAuthenticated;
-  }, [isAuthenticated]);
+    const isAuthenticated = authStore.isAuthenticated;
 
-  const navLinks = [
-    { label: "Digital Twin", href: "/twin", active: true },
-    { label: "Insights", href: "/insights" }
-  ];
+    // The map's own link is relative to the page's <base href>, the path the
+    // map is served under. The other apps are served from the site root.
+    const navLinks = [
+      { label: "Digital Twin", href: "./", active: true },
+      { label: "Insights", href: "/insights" }
+    ];
 
-  // Only show Manager for authenticated users
-  if (isAuthenticated) {
-    navLinks.push({ label: "Manager", href: "/manager" });
-  }
+    // Only show Manager for authenticated users
+    if (isAuthenticated) {
+      navLinks.push({ label: "Manager", href: "/manager" });
+    }
 
-  const logo = <Logo />;
+    const logo = <Logo />;
 
-  const relatedMaps = viewState.terria.configParameters.relatedMaps;
-  const aboutButtonHrefUrl =
-    viewState.terria.configParameters.aboutButtonHrefUrl;
+    const relatedMaps = viewState.terria.configParameters.relatedMaps;
+    const aboutButtonHrefUrl =
+      viewState.terria.configParameters.aboutButtonHrefUrl;
 
-  return (
-    <div
-      style={{
-        display: "flex",
-        flexDirection: "column",
-        height: "100vh",
-        overflow: "hidden"
-      }}
-    >
-      <Navigation
-        logo={logo}
-        logoHref="/"
-        links={navLinks}
-        onLoginClick={() => setShowLogin(true)}
-      />
+    return (
       <div
         style={{
-          flex: 1,
-          overflow: "hidden",
-          position: "relative",
           display: "flex",
-          flexDirection: "column"
+          flexDirection: "column",
+          height: "100vh",
+          overflow: "hidden"
         }}
       >
-        <StandardUserInterface
-          terria={terria}
-          viewState={viewState}
-          themeOverrides={themeOverrides}
-          version={version}
+        <div style={{ position: "relative" }}>
+          <Navigation
+            logo={logo}
+            logoHref="/"
+            links={navLinks}
+            onLoginClick={() => authStore.requestLogin()}
+          />
+          {isAuthenticated ? <MySharedViews /> : null}
+        </div>
+        <div
+          style={{
+            flex: 1,
+            overflow: "hidden",
+            position: "relative",
+            display: "flex",
+            flexDirection: "column"
+          }}
         >
-          <MenuLeft>
-            {aboutButtonHrefUrl ? (
-              <MenuItem
-                caption="About"
-                href={aboutButtonHrefUrl}
-                key="about-link"
-              />
-            ) : null}
-            {relatedMaps && relatedMaps.length > 0 ? (
-              <RelatedMaps relatedMaps={relatedMaps} />
-            ) : null}
-          </MenuLeft>
-        </StandardUserInterface>
+          <StandardUserInterface
+            terria={terria}
+            viewState={viewState}
+            themeOverrides={themeOverrides}
+            version={version}
+          >
+            <MenuLeft>
+              {aboutButtonHrefUrl ? (
+                <MenuItem
+                  caption="About"
+                  href={aboutButtonHrefUrl}
+                  key="about-link"
+                />
+              ) : null}
+              {relatedMaps && relatedMaps.length > 0 ? (
+                <RelatedMaps relatedMaps={relatedMaps} />
+              ) : null}
+            </MenuLeft>
+          </StandardUserInterface>
+        </div>
+        <LoginModal
+          isOpen={authStore.loginRequested}
+          onClose={() => authStore.closeLogin()}
+          logo={logo}
+          title="SMART METRO Codex"
+          subtitle="Sign in to access all Codex applications"
+          onLoginSuccess={() => {
+            console.log("User logged in successfully!");
+            authStore.closeLogin();
+            authStore.update();
+          }}
+        />
       </div>
-      <LoginModal
-        isOpen={showLogin}
-        onClose={() => setShowLogin(false)}
-        logo={logo}
-        title="SMART METRO Codex"
-        subtitle="Sign in to access all Codex applications"
-        onLoginSuccess={() => {
-          console.log("User logged in successfully!");
-          setShowLogin(false);
-        }}
-      />
-    </div>
-  );
-};
+    );
+  }
+);
 
 TerriaUserInterfaceInner.propTypes = {
   terria: PropTypes.object.isRequired,
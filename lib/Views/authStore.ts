@@ -0,0 +1,142 @@
+import Cookies from "js-cookie";
+import { jwtDecode } from "jwt-decode";
+import { action, computed, makeObservable, observable } from "mobx";
+
+// Tabs of the map tell each other when the access token changes
+const CHANNEL_NAME = "codex-auth";
+// Written to localStorage instead where BroadcastChannel isn't available
+const STORAGE_KEY = "codex-auth-changed";
+
+// Expiry of a JWT in milliseconds. Tokens that can't be decoded have already
+// expired, and tokens without "exp" never do.
+function tokenExpiry(token: string): number {
+  try {
+    const { exp } = jwtDecode(token);
+    return typeof exp === "number" ? exp * 1000 : Infinity;
+  } catch (error) {
+    console.error("Failed to decode token:", error);
+    return 0;
+  }
+}
+
+/**
+ * Whether the user is logged in, for everything that depends on it: loading
+ * the private catalog, cleaning up after logout and the UI.
+ *
+ * The state comes from the `access_token` cookie. It is read again when the
+ * AuthProvider's state changes, when the token is refreshed, when another tab
+ * says it has changed the cookie, and when the tab is shown again, since the
+ * other Codex apps share the cookie.
+ */
+class AuthStore {
+  /** The `access_token` cookie, which may have expired */
+  token: string | undefined = undefined;
+  /** Whether the token has expired, e.g. because it couldn't be refreshed */
+  expired = false;
+  /** User from the AuthProvider */
+  user: unknown = undefined;
+  /** Whether the login modal should be shown */
+  loginRequested = false;
+
+  private channel: BroadcastChannel | undefined;
+  private expiryTimer: ReturnType<typeof setTimeout> | undefined;
+
+  constructor() {
+    makeObservable<AuthStore, "setToken">(this, {
+      token: observable,
+      expired: observable,
+      user: observable.ref,
+      loginRequested: observable,
+      isAuthenticated: computed,
+      setUser: action,
+      requestLogin: action,
+      closeLogin: action,
+      setToken: action
+    });
+
+    this.setToken(Cookies.get("access_token"));
+    this.listen();
+  }
+
+  get isAuthenticated() {
+    return this.token !== undefined && !this.expired;
+  }
+
+  /**
+   * Read the `access_token` cookie again after it may have changed, and tell
+   * the other tabs if it has
+   * @param notify - Whether to tell the other tabs
+   */
+  update(notify = true) {
+    const token = Cookies.get("access_token");
+    if (token === this.token) {
+      return;
+    }
+    this.setToken(token);
+    if (notify) {
+      this.notifyOtherTabs();
+    }
+  }
+
+  setUser(user: unknown) {
+    this.user = user;
+  }
+
+  /** Ask the user to log in, e.g. to open a private share link */
+  requestLogin() {
+    this.loginRequested = true;
+  }
+
+  closeLogin() {
+    this.loginRequested = false;
+  }
+
+  private setToken(token: string | undefined) {
+    this.token = token;
+    clearTimeout(this.expiryTimer);
+    const expiry = token ? tokenExpiry(token) : Infinity;
+    this.expired = expiry <= Date.now();
+    if (!this.expired && expiry !== Infinity) {
+      // Longer timeouts overflow and fire immediately
+      this.expiryTimer = setTimeout(
+        () => this.setToken(this.token),
+        Math.min(expiry - Date.now(), 0x7fffffff)
+      );
+    }
+  }
+
+  private notifyOtherTabs() {
+    if (this.channel) {
+      this.channel.postMessage("changed");
+    } else {
+      try {
+        localStorage.setItem(STORAGE_KEY, String(Date.now()));
+      } catch {
+        // Storage may be disabled, in which case other tabs catch up when shown
+      }
+    }
+  }
+
+  private listen() {
+    if (typeof BroadcastChannel !== "undefined") {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = () => this.update(false);
+    }
+    window.addEventListener("storage", (event) => {
+      if (event.key === STORAGE_KEY) {
+        this.update(false);
+      }
+    });
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") {
+        this.update(false);
+      }
+    });
+    // Browsers with the Cookie Store API report cookie changes directly
+    const cookieStore = (window as unknown as { cookieStore?: EventTarget })
+      .cookieStore;
+    cookieStore?.addEventListener("change", () => this.update(false));
+  }
+}
+
+export const authStore = new AuthStore();
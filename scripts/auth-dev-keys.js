@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/* jshint node: true */
+"use strict";
+
+/**
+ * Local signing keys for testing authentication offline
+ *
+ * `init` creates an RSA key pair: the private key, and a JWKS file with the
+ * public key for the server's `auth.jwksFile`. `token` signs an access token
+ * with the private key, to send as a bearer token or `access_token` cookie.
+ *
+ * Usage:
+ *   node scripts/auth-dev-keys.js init [--dir .auth-dev]
+ *   node scripts/auth-dev-keys.js token --sub alice [--roles admin] [--groups a,b]
+ *     [--expires 1h] [--issuer codex] [--audience terria] [--dir .auth-dev]
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const parseDuration = require("../server/lib/duration");
+
+const rootDir = path.join(__dirname, "..");
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const list = (value) => (value ? value.split(",").filter((v) => v) : []);
+const dir = path.resolve(rootDir, getArg("--dir") || ".auth-dev");
+const privateKeyFile = path.join(dir, "private.pem");
+const jwksFile = path.join(dir, "jwks.json");
+
+function init() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048
+  });
+  const jwk = publicKey.export({ format: "jwk" });
+  const kid = crypto
+    .createHash("sha256")
+    .update(jwk.n)
+    .digest("base64url")
+    .slice(0, 16);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    privateKeyFile,
+    privateKey.export({ type: "pkcs8", format: "pem" }),
+    { mode: 0o600 }
+  );
+  fs.writeFileSync(
+    jwksFile,
+    JSON.stringify(
+      { keys: [{ ...jwk, kid, alg: "RS256", use: "sig" }] },
+      null,
+      2
+    )
+  );
+
+  console.log(`Wrote ${privateKeyFile} and ${jwksFile}`);
+  console.log("Verify tokens signed with it by adding to serverconfig.json:");
+  console.log(
+    JSON.stringify(
+      { auth: { jwksFile: path.relative(rootDir, jwksFile) } },
+      null,
+      2
+    )
+  );
+}
+
+function token() {
+  const sub = getArg("--sub");
+  if (!sub) {
+    console.error("--sub is required");
+    process.exit(1);
+  }
+  const expires = parseDuration(getArg("--expires") || "1h");
+  if (expires === undefined) {
+    console.error(`Invalid --expires: ${getArg("--expires")}`);
+    process.exit(1);
+  }
+
+  const privateKey = fs.readFileSync(privateKeyFile, "utf8");
+  const { kid } = JSON.parse(fs.readFileSync(jwksFile, "utf8")).keys[0];
+  const claims = {
+    sub,
+    roles: list(getArg("--roles")),
+    groups: list(getArg("--groups"))
+  };
+  const options = { algorithm: "RS256", keyid: kid, expiresIn: expires };
+  if (getArg("--issuer")) {
+    options.issuer = getArg("--issuer");
+  }
+  if (getArg("--audience")) {
+    options.audience = getArg("--audience");
+  }
+  console.log(jwt.sign(claims, privateKey, options));
+}
+
+try {
+  switch (args[0]) {
+    case "init":
+      init();
+      break;
+    case "token":
+      token();
+      break;
+    default:
+      console.error("Usage: auth-dev-keys.js init|token [options]");
+      process.exit(1);
+  }
+} catch (error) {
+  console.error("Error:", error.message);
+  process.exit(1);
+}
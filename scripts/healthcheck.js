@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/* jshint node: true */
+"use strict";
+
+/**
+ * Container health check
+ *
+ * Exits 0 if the server on this host answers /healthz (or /readyz with
+ * --ready) under its base path, and 1 otherwise.
+ *
+ * Usage:
+ *   node scripts/healthcheck.js [--ready] [--config-file serverconfig.json]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getBasePath } = require("../server/lib/basePath");
+
+const rootDir = path.join(__dirname, "..");
+
+// Seconds to wait for the server before reporting it unhealthy
+const TIMEOUT = 5;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const endpoint = args.includes("--ready") ? "readyz" : "healthz";
+const configFile = path.resolve(
+  rootDir,
+  getArg("--config-file") || "serverconfig.json"
+);
+
+let settings = {};
+try {
+  settings = JSON.parse(fs.readFileSync(configFile, "utf8"));
+} catch (error) {
+  if (error.code !== "ENOENT") {
+    console.error(`Error reading ${configFile}:`, error.message);
+    process.exit(1);
+  }
+}
+
+const port = getArg("--port") || settings.port || 3001;
+const url = `http://127.0.0.1:${port}${getBasePath(settings)}/${endpoint}`;
+
+fetch(url, { signal: AbortSignal.timeout(TIMEOUT * 1000) })
+  .then((response) => {
+    if (!response.ok) {
+      console.error(`${url} answered ${response.status}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(`${url} failed:`, error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/* jshint node: true */
+"use strict";
+
+/**
+ * Share garbage collection
+ *
+ * Deletes expired shares and prunes them from each store's index.
+ *
+ * Usage:
+ *   node scripts/share-gc.js [--dry-run] [--config-file serverconfig.json]
+ *   node scripts/share-gc.js --pin <prefix-id>
+ *   node scripts/share-gc.js --unpin <prefix-id>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createShareStores } = require("../server/lib/share");
+
+const rootDir = path.join(__dirname, "..");
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const dryRun = args.includes("--dry-run");
+const configFile = path.resolve(
+  rootDir,
+  getArg("--config-file") || "serverconfig.json"
+);
+const pinId = getArg("--pin");
+const unpinId = getArg("--unpin");
+
+let settings;
+try {
+  settings = JSON.parse(fs.readFileSync(configFile, "utf8"));
+} catch (error) {
+  console.error(`Error reading ${configFile}:`, error.message);
+  process.exit(1);
+}
+
+const stores = createShareStores({
+  storageDir: path.join(rootDir, "sharedata"),
+  rootDir,
+  shareUrlPrefixes: settings.shareUrlPrefixes,
+  shareExpiry: settings.shareExpiry,
+  prefix: "l"
+});
+
+async function setPinned(fullId, pinned) {
+  const [prefix, ...rest] = fullId.split("-");
+  const store = stores.get(prefix);
+  if (!store || rest.length === 0) {
+    throw new Error(`Unknown share prefix in ID: ${fullId}`);
+  }
+  await store.init();
+  await store.setPinned(rest.join("-"), pinned);
+  console.log(`${pinned ? "Pinned" : "Unpinned"} ${fullId}`);
+}
+
+async function sweep() {
+  let total = 0;
+  for (const [prefix, store] of stores) {
+    await store.init();
+    const expired = await store.sweep({ dryRun });
+    for (const id of expired) {
+      console.log(`${dryRun ? "Would delete" : "Deleted"} ${prefix}-${id}`);
+    }
+    total += expired.length;
+  }
+  console.log(
+    `${total} expired share(s) ${dryRun ? "found" : "deleted"} across ${stores.size} prefix(es)`
+  );
+}
+
+(pinId
+  ? setPinned(pinId, true)
+  : unpinId
+    ? setPinned(unpinId, false)
+    : sweep()
+).catch((error) => {
+  console.error("Share GC failed:", error.message);
+  process.exit(1);
+});
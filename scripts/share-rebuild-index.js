@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/* jshint node: true */
+"use strict";
+
+/**
+ * Share index rebuild
+ *
+ * Reconstructs index.json for each file-backed share store from its data/
+ * directory. Metadata for shares that still have data is kept, shares missing
+ * from the index are added with their file's date and size, and index entries
+ * without data are dropped. Safe to run while the server is running.
+ *
+ * Usage:
+ *   node scripts/share-rebuild-index.js [--config-file serverconfig.json]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createShareStores } = require("../server/lib/share");
+
+const rootDir = path.join(__dirname, "..");
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const configFile = path.resolve(
+  rootDir,
+  getArg("--config-file") || "serverconfig.json"
+);
+
+let settings;
+try {
+  settings = JSON.parse(fs.readFileSync(configFile, "utf8"));
+} catch (error) {
+  console.error(`Error reading ${configFile}:`, error.message);
+  process.exit(1);
+}
+
+const stores = createShareStores({
+  storageDir: path.join(rootDir, "sharedata"),
+  rootDir,
+  shareUrlPrefixes: settings.shareUrlPrefixes,
+  shareExpiry: settings.shareExpiry,
+  prefix: "l"
+});
+
+async function rebuild() {
+  for (const [prefix, store] of stores) {
+    const storage = store.storage;
+    if (typeof storage.rebuildIndex !== "function") {
+      console.log(
+        `Skipped ${prefix}: ${storage.describe().service} storage has no index file`
+      );
+      continue;
+    }
+    await store.init();
+    const { count, added, removed } = await storage.rebuildIndex();
+    console.log(
+      `Rebuilt ${prefix}: ${count} share(s), ${added} added, ${removed} removed`
+    );
+  }
+}
+
+rebuild().catch((error) => {
+  console.error("Share index rebuild failed:", error.message);
+  process.exit(1);
+});
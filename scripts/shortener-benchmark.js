@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/* jshint node: true */
+"use strict";
+
+/**
+ * Short link benchmark
+ *
+ * Fills a temporary store with short links, then measures how long it takes
+ * to resolve links, find an existing link for a URL, write the recorded
+ * clicks and load the store again. The store is deleted afterwards unless
+ * --keep is given.
+ *
+ * Usage:
+ *   node scripts/shortener-benchmark.js [--service log] [--links 100000] [--lookups 10000] [--keep]
+ */
+
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { createStorage } = require("../server/lib/storage");
+const { URLShortener } = require("../server/lib/shortener");
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const service = getArg("--service") || "log";
+const links = Number(getArg("--links") || 100000);
+const lookups = Number(getArg("--lookups") || 10000);
+const keep = args.includes("--keep");
+
+if (!(links > 0) || !(lookups > 0)) {
+  console.error("--links and --lookups must be positive numbers");
+  process.exit(1);
+}
+
+const idOf = (i) => `bench${i.toString(36)}`;
+const urlOf = (i) => `https://example.com/maps/${i}?view=${i % 97}`;
+
+// Time an async function in milliseconds
+async function time(fn) {
+  const start = process.hrtime.bigint();
+  await fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Summarise a list of timings in milliseconds
+function summary(timings) {
+  const sorted = timings.slice().sort((a, b) => a - b);
+  const at = (p) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  const total = sorted.reduce((sum, t) => sum + t, 0);
+  return [
+    `mean ${(total / sorted.length).toFixed(3)}`,
+    `p50 ${at(0.5).toFixed(3)}`,
+    `p95 ${at(0.95).toFixed(3)}`,
+    `p99 ${at(0.99).toFixed(3)}`,
+    `max ${sorted[sorted.length - 1].toFixed(3)} ms`
+  ].join(", ");
+}
+
+const storageFor = (dir) =>
+  createStorage({ service }, { storageDir: dir, rootDir: dir });
+
+async function populate(storage) {
+  const created = new Date().toISOString();
+  if (storage.updateIndex) {
+    // Write the file backend's index once rather than once per link
+    for (let i = 0; i < links; i++) {
+      await storage.writeData(idOf(i), urlOf(i));
+    }
+    await storage.updateIndex((index) => {
+      for (let i = 0; i < links; i++) {
+        index[idOf(i)] = { url: urlOf(i), created, clicks: 0 };
+      }
+    });
+    return;
+  }
+  for (let i = 0; i < links; i++) {
+    await storage.writeData(idOf(i), urlOf(i));
+    await storage.setMeta(idOf(i), { url: urlOf(i), created, clicks: 0 });
+  }
+}
+
+async function benchmark() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "shortener-bench-"));
+  console.log(`Benchmarking the "${service}" backend with ${links} links`);
+  try {
+    const storage = storageFor(dir);
+    await storage.init();
+    const shortener = new URLShortener(storage);
+
+    const fill = await time(() => populate(storage));
+    console.log(`Created ${links} links in ${(fill / 1000).toFixed(1)} s`);
+
+    const pick = () => Math.floor(Math.random() * links);
+    const resolve = [];
+    for (let n = 0; n < lookups; n++) {
+      const id = idOf(pick());
+      resolve.push(
+        await time(() =>
+          shortener.resolveUrl(id, {
+            referrer: "https://example.org/",
+            userAgent: "Mozilla/5.0 Firefox/130.0"
+          })
+        )
+      );
+    }
+    console.log(`Resolve (${lookups}): ${summary(resolve)}`);
+
+    const flush = await time(() => shortener.flushClicks());
+    console.log(
+      `Wrote clicks of ${lookups} resolves in ${flush.toFixed(1)} ms`
+    );
+
+    const load = await time(() => shortener.loadUrlIndex());
+    console.log(`Loaded URL index in ${load.toFixed(1)} ms`);
+    const existing = [];
+    for (let n = 0; n < lookups; n++) {
+      const url = urlOf(pick());
+      existing.push(await time(() => shortener.shortenUrl(url)));
+    }
+    console.log(`Find existing link (${lookups}): ${summary(existing)}`);
+
+    const reopen = await time(() => storageFor(dir).init());
+    console.log(`Opened the store again in ${reopen.toFixed(1)} ms`);
+  } finally {
+    if (keep) {
+      console.log(`Kept the store in ${dir}`);
+    } else {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+benchmark().catch((error) => {
+  console.error("Short link benchmark failed:", error.message);
+  process.exit(1);
+});
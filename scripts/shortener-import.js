@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/* jshint node: true */
+"use strict";
+
+/**
+ * Short link import
+ *
+ * Copies the links of the old standalone URL shortener (its `urls.json`) into
+ * the shortener's configured storage backend. Links that already exist are
+ * left alone, so the import can be run more than once.
+ *
+ * Usage:
+ *   node scripts/shortener-import.js [urls.json] [--config-file serverconfig.json]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createStorage } = require("../server/lib/storage");
+
+const rootDir = path.join(__dirname, "..");
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const configFile = path.resolve(
+  rootDir,
+  getArg("--config-file") || "serverconfig.json"
+);
+const dbFile = path.resolve(
+  args[0] && !args[0].startsWith("--")
+    ? args[0]
+    : path.join(rootDir, "misc", "url-data", "urls.json")
+);
+
+let settings;
+let urls;
+try {
+  settings = JSON.parse(fs.readFileSync(configFile, "utf8"));
+  urls = JSON.parse(fs.readFileSync(dbFile, "utf8"));
+} catch (error) {
+  console.error("Error reading input:", error.message);
+  process.exit(1);
+}
+
+const storage = createStorage((settings.shortener || {}).storage, {
+  storageDir: path.join(rootDir, "url-data"),
+  rootDir
+});
+
+async function importUrls() {
+  await storage.init();
+  let imported = 0;
+  let skipped = 0;
+  for (const [id, data] of Object.entries(urls)) {
+    if (!/^[A-Za-z0-9_-]+$/.test(id) || !data.url) {
+      console.warn(`Skipped invalid entry "${id}"`);
+      skipped++;
+      continue;
+    }
+    if (await storage.hasData(id)) {
+      skipped++;
+      continue;
+    }
+    await storage.writeData(id, data.url);
+    await storage.setMeta(id, {
+      url: data.url,
+      created: data.created || new Date().toISOString(),
+      clicks: data.clicks || 0
+    });
+    imported++;
+  }
+  console.log(`Imported ${imported} link(s), skipped ${skipped}`);
+}
+
+importUrls().catch((error) => {
+  console.error("Short link import failed:", error.message);
+  process.exit(1);
+});
@@ -6,23 +6,46 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 
+// Load environment variables (e.g. JWT_SECRET) from .env file
+require("dotenv").config();
+
 // Import terriajs-server makeserver
 const makeserver = require("terriajs-server/lib/makeserver");
 const options = require("terriajs-server/lib/options");
 
 // Import our custom share service
 const createShareRouter = require("./server/lib/share");
+const createShortenerRouter = require("./server/lib/shortener");
+const createAuth = require("./server/lib/auth");
+const { getBasePath, setBaseHref } = require("./server/lib/basePath");
+const createServerConfig = require("./server/lib/serverConfig");
+const createMetrics = require("./server/lib/metrics");
+const { requestMetrics } = require("./server/lib/metrics");
+const createHealth = require("./server/lib/health");
+const { logger, requestLogger } = require("./server/lib/logger");
+const { createErrorHandlers } = require("./server/lib/errors");
 
 // Initialize options from serverconfig.json
 options.init(false);
 
-console.log(
-  'Serving directory "' +
-    options.wwwroot +
-    '" on port ' +
-    options.port +
-    " at path /twin"
-);
+// Lowest level logged: LOG_LEVEL, else serverconfig.json's "logging.level"
+// (default: info)
+const logLevel =
+  process.env.LOG_LEVEL ||
+  (options.settings.logging && options.settings.logging.level);
+if (logLevel) {
+  logger.setLevel(logLevel);
+}
+
+// Path the map is served under, from BASE_PATH or serverconfig.json's
+// "basePath" (default: /twin)
+const basePath = getBasePath(options.settings);
+
+logger.info("Serving directory", {
+  wwwroot: options.wwwroot,
+  port: options.port,
+  basePath: basePath || "/"
+});
 
 // Create the terriajs server
 const terriaApp = makeserver(options);
@@ -30,18 +53,43 @@ const terriaApp = makeserver(options);
 // Create a wrapper Express app
 const app = express();
 
-// Trust proxy - important for reverse proxy setups
-app.set("trust proxy", true);
+// Trust proxy - important for reverse proxy setups, and decides which client
+// IP the share rate limits see. Set "trustProxy" in serverconfig.json to e.g. 1
+// or "loopback" when clients could otherwise spoof X-Forwarded-For.
+app.set(
+  "trust proxy",
+  options.settings.trustProxy !== undefined ? options.settings.trustProxy : true
+);
+
+// Count requests and time them per route, including the proxy's traffic
+const metrics = createMetrics();
+app.use(requestMetrics(metrics, { proxyPath: `${basePath}/proxy/` }));
 
-// Add logging middleware to debug requests
-app.use((req, res, next) => {
-  console.log(`${req.method} ${req.url} - Original URL: ${req.originalUrl}`);
-  next();
+// Health and readiness probes, and metrics in the Prometheus text format.
+// Mounted before the request log so that probes don't fill it. /metrics is
+// only served with "metrics": {"enabled": true} in serverconfig.json.
+const health = createHealth({
+  metrics,
+  serveMetrics: !!(
+    options.settings.metrics && options.settings.metrics.enabled === true
+  )
+});
+health.addCheck("config", async () => {
+  // config.json is written from config.template.json by gulp
+  await fs.promises.access(
+    path.join(options.wwwroot, "config.json"),
+    fs.constants.R_OK
+  );
 });
+app.use(basePath || "/", health.router);
+
+// Give each request an ID and log it with its status and duration, once
+// answered. Requests through the proxy are logged with their target URL.
+app.use(requestLogger(logger, { proxyPath: `${basePath}/proxy/` }));
 
 // Serve language override files from wwwroot/languages
 app.use(
-  "/twin/languages",
+  `${basePath}/languages`,
   express.static(path.join(options.wwwroot, "languages"), {
     setHeaders: (res, filePath) => {
       if (filePath.endsWith(".json")) {
@@ -54,7 +102,7 @@ app.use(
 
 // Serve TerriaJS language files from node_modules
 app.use(
-  "/twin/build/TerriaJS/languages",
+  `${basePath}/build/TerriaJS/languages`,
   express.static(
     path.join(__dirname, "node_modules", "terriajs", "wwwroot", "languages"),
     {
@@ -70,7 +118,7 @@ app.use(
 
 // Serve TerriaJS build files (Cesium assets, etc.)
 app.use(
-  "/twin/build/TerriaJS/build",
+  `${basePath}/build/TerriaJS/build`,
   express.static(
     path.join(__dirname, "node_modules", "terriajs", "wwwroot", "build"),
     {
@@ -83,47 +131,132 @@ app.use(
   )
 );
 
+// Verify Codex access tokens for routes that need to know the user
+const auth = createAuth({ rootDir: __dirname, ...options.settings.auth });
+
+// Configuration for clients, served at /serverconfig. The share service and
+// URL shortener add what they serve when they are created.
+const serverConfig = createServerConfig({
+  settings: options.settings,
+  basePath,
+  version: require("./package.json").version,
+  // Build version written by gulp, once the map has been built
+  build: fs.existsSync(path.join(__dirname, "version.js"))
+    ? require("./version")
+    : undefined
+});
+
 // Mount the share service
+// Each prefix in serverconfig.json's shareUrlPrefixes maps to a storage backend
 const shareRouter = createShareRouter({
   storageDir: path.join(__dirname, "sharedata"),
+  rootDir: __dirname,
+  shareUrlPrefixes: options.settings.shareUrlPrefixes,
+  newShareUrlPrefix: options.settings.newShareUrlPrefix,
+  shareExpiry: options.settings.shareExpiry,
+  shareLimits: options.settings.shareLimits,
+  shareIds: options.settings.shareIds,
+  shareAnalytics: options.settings.shareAnalytics,
   prefix: "l",
   maxRequestSize: "1000kb",
-  port: options.port
+  port: options.port,
+  auth,
+  serverConfig,
+  metrics,
+  health
 });
-app.use("/twin/share", shareRouter);
+app.use(`${basePath}/share`, shareRouter);
+
+// Mount the URL shortener, stored in the backend configured by
+// serverconfig.json's "shortener.storage" (default: files in url-data/).
+// Links may only point to this server and the hosts listed in
+// "shortener.allowedHosts" (default: none).
+const shortenerSettings = options.settings.shortener || {};
+app.use(
+  `${basePath}/s`,
+  createShortenerRouter({
+    storageDir: path.join(__dirname, "url-data"),
+    rootDir: __dirname,
+    storage: shortenerSettings.storage,
+    allowedHosts: shortenerSettings.allowedHosts || [],
+    allowAllHosts: shortenerSettings.allowAllHosts === true,
+    clickFlushInterval: shortenerSettings.clickFlushInterval,
+    auth,
+    serverConfig,
+    health
+  })
+);
 
 // Expose server configuration (needed by ShareDataService on client)
-app.get("/twin/serverconfig", (req, res) => {
-  res.json({
-    newShareUrlPrefix: "l",
-    shareUrlPrefixes: {
-      l: {
-        service: "file"
-      }
-    }
-  });
+app.get(`${basePath}/serverconfig`, serverConfig.handler);
+
+// Serve the map's page with its <base href> set to the base path, so the
+// same build can be served under any path
+const indexFile = path.join(options.wwwroot, "index.html");
+app.get([`${basePath}/`, `${basePath}/index.html`], async (req, res, next) => {
+  let html;
+  try {
+    html = await fs.promises.readFile(indexFile, "utf8");
+  } catch (error) {
+    return next(error.code === "ENOENT" ? undefined : error);
+  }
+  res.set("Cache-Control", "no-cache");
+  res.type("html").send(setBaseHref(html, basePath));
 });
 
-// Mount the terria app at /twin
-app.use("/twin", terriaApp);
+// terriajs-server ends its app with handlers sending wwwroot/404.html and
+// 500.html as they are. Drop them so that requests it doesn't answer, and its
+// errors, reach the handlers below. This relies on Express 4's router, so
+// package.json pins terriajs-server to a release built on Express 4; later
+// ones keep their own error pages until this is revisited.
+const terriaStack = terriaApp._router ? terriaApp._router.stack : [];
+if (
+  terriaStack.length >= 2 &&
+  terriaStack[terriaStack.length - 2].handle.length === 3 &&
+  terriaStack[terriaStack.length - 1].handle.length === 4
+) {
+  terriaStack.splice(-2);
+} else {
+  logger.warn("terriajs-server's error pages were not found");
+}
 
-// Redirect root to /twin
-app.get("/", (req, res) => {
-  res.redirect("/twin");
+// Mount the terria app at the base path
+app.use(basePath || "/", terriaApp);
+
+// Redirect root to the base path
+if (basePath) {
+  app.get("/", (req, res) => {
+    res.redirect(`${basePath}/`);
+  });
+}
+
+// Answer unknown paths and errors with wwwroot/404.html and 500.html, or with
+// problem+json for API routes and clients that ask for JSON
+const errorHandlers = createErrorHandlers({
+  wwwroot: options.wwwroot,
+  apiPaths: [
+    `${basePath}/share`,
+    `${basePath}/s/api`,
+    `${basePath}/serverconfig`,
+    `${basePath}/api`,
+    `${basePath}/proxy`
+  ]
 });
+app.use(errorHandlers.notFound);
+app.use(errorHandlers.handleError);
 
 // Start the server
 const server = app.listen(options.port, options.listenHost, () => {
-  console.log(
-    `Server running at http://${options.listenHost || "localhost"}:${options.port}/twin`
-  );
+  logger.info("Server running", {
+    url: `http://${options.listenHost || "localhost"}:${options.port}${basePath}/`
+  });
 });
 
 server.on("error", (err) => {
   if (err.code === "EADDRINUSE") {
-    console.error(`Port ${options.port} is already in use`);
+    logger.error("Port is already in use", { port: options.port });
     process.exit(1);
   } else {
-    console.error(err);
+    logger.error("Server error", { error: err });
   }
 });
@@ -0,0 +1,95 @@
+/* jshint node: true */
+"use strict";
+
+/**
+ * Helpers for the view and click analytics kept by the share service and
+ * URL shortener. Counts are kept small and free of personal data: referrers
+ * are reduced to their host and user agents to a browser family.
+ */
+
+// Most distinct keys kept in a set of counts, the rest are counted as "other"
+const MAX_KEYS = 20;
+
+/**
+ * Host of the page a link was opened from
+ * @param {string} referrer - Referrer URL
+ * @returns {string} Host, or "direct" if there is no valid referrer. Only the host
+ *   is kept, since full referrer URLs can carry tokens.
+ */
+function referrerHost(referrer) {
+  if (!referrer) {
+    return "direct";
+  }
+  try {
+    return new URL(referrer).host || "direct";
+  } catch {
+    return "direct";
+  }
+}
+
+/**
+ * Browser family of a user agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} e.g. "Chrome", "Firefox", "bot" or "other"
+ */
+function userAgentFamily(userAgent) {
+  if (!userAgent) {
+    return "other";
+  }
+  // Order matters: Edge and Opera also claim to be Chrome, and Chrome Safari
+  const families = [
+    [/bot|crawl|spider|slurp|preview|curl|wget|python|java\//i, "bot"],
+    [/Edg(e|A|iOS)?\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/SamsungBrowser\//, "Samsung Internet"],
+    [/Firefox\/|FxiOS\//, "Firefox"],
+    [/Chrome\/|CriOS\//, "Chrome"],
+    [/Safari\//, "Safari"]
+  ];
+  const match = families.find(([pattern]) => pattern.test(userAgent));
+  return match ? match[1] : "other";
+}
+
+/**
+ * Add to the count of a key. Keys are counted as own properties, so names
+ * such as "constructor" or "__proto__" (a referrer's host can be anything)
+ * are counted like any other.
+ * @param {Object} counts - Counts keyed by name, changed in place
+ * @param {string} key
+ * @param {number} count - Amount to add (default: 1)
+ */
+function addCount(counts, key, count = 1) {
+  const current = Object.hasOwn(counts, key) ? counts[key] : 0;
+  Object.defineProperty(counts, key, {
+    value: current + count,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+}
+
+/**
+ * Add counts to a set of counts, keeping at most 20 distinct keys
+ * @param {Object} counts - Existing counts keyed by name
+ * @param {Object} added - Counts to add
+ * @param {number} maxKeys - Most distinct keys to keep (default: 20)
+ * @returns {Object} Merged counts
+ */
+function mergeCounts(counts = {}, added, maxKeys = MAX_KEYS) {
+  const merged = { ...counts };
+  for (const [key, count] of Object.entries(added)) {
+    const name =
+      Object.hasOwn(merged, key) || Object.keys(merged).length < maxKeys
+        ? key
+        : "other";
+    addCount(merged, name, count);
+  }
+  return merged;
+}
+
+module.exports = {
+  referrerHost,
+  userAgentFamily,
+  addCount,
+  mergeCounts
+};
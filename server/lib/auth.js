@@ -0,0 +1,280 @@
+/* jshint node: true */
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const parseDuration = require("./duration");
+const { sendProblem } = require("./errors");
+const log = require("./logger").logger.child({ module: "auth" });
+
+/**
+ * Authentication for server routes
+ * Verifies the Codex `access_token` JWT, sent either as a bearer token or as
+ * the `access_token` cookie set by the Codex auth service. Tokens are signed
+ * either with a shared secret or with a key from a JWKS file. Requests from
+ * other sites that change data must use a bearer token.
+ */
+
+// Algorithms accepted for each kind of key. Keeping them apart stops a token
+// signed with HMAC, using a public key as the secret, passing as RSA signed.
+const SECRET_ALGORITHMS = ["HS256", "HS384", "HS512"];
+const KEY_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512"
+];
+
+// Default allowance for clock differences with the token issuer, in seconds
+const CLOCK_TOLERANCE = 30;
+
+// Methods that don't change data, for which the access_token cookie is
+// accepted from any site
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// How often a token signed with an unknown key may cause the JWKS file to be
+// read again, to pick up rotated keys
+const JWKS_RELOAD_INTERVAL = 60000;
+
+// Read the signing keys of a JWKS file, keyed by key ID
+function loadJwks(file) {
+  const jwks = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(jwks.keys)) {
+    throw new Error(`JWKS file ${file} has no "keys" array`);
+  }
+  const keys = new Map();
+  for (const jwk of jwks.keys) {
+    if (jwk.use && jwk.use !== "sig") {
+      continue;
+    }
+    keys.set(jwk.kid || "", {
+      key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      algorithms: jwk.alg ? [jwk.alg] : KEY_ALGORITHMS
+    });
+  }
+  return keys;
+}
+
+// Read a cookie from the request without pulling in cookie-parser
+function getCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) {
+    return undefined;
+  }
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+}
+
+// Compare secrets without leaking their contents through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash("sha256").update(String(a)).digest();
+  const hashB = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Whether a browser sent the request from a page on another site. Browsers
+// send Sec-Fetch-Site, and older ones at least Origin, with requests that
+// change data.
+function isCrossSite(req) {
+  const site = req.get("Sec-Fetch-Site");
+  if (site) {
+    return site !== "same-origin" && site !== "none";
+  }
+  const origin = req.get("Origin");
+  if (!origin) {
+    return false;
+  }
+  try {
+    return new URL(origin).hostname !== req.hostname;
+  } catch {
+    return true;
+  }
+}
+
+// Get the access token from the Authorization header or access_token cookie.
+// The cookie is ignored on cross-site requests that change data, as any site
+// can make a browser send it with a form.
+function getToken(req) {
+  const authorization = req.get("Authorization");
+  if (authorization && /^Bearer /i.test(authorization)) {
+    return authorization.slice(7).trim();
+  }
+  if (!SAFE_METHODS.includes(req.method) && isCrossSite(req)) {
+    return undefined;
+  }
+  return getCookie(req, "access_token");
+}
+
+/**
+ * Create authentication middleware
+ * @param {Object} options - Configuration options
+ * @param {string} options.jwtSecret - Shared secret used to verify tokens (default: JWT_SECRET env var)
+ * @param {string} options.jwksFile - JWKS file with the public keys used to verify tokens (default: JWT_JWKS_FILE env var)
+ * @param {string} options.issuer - Required `iss` claim (default: JWT_ISSUER env var)
+ * @param {string|string[]} options.audience - Accepted `aud` claims (default: JWT_AUDIENCE env var, comma separated)
+ * @param {number|string} options.clockTolerance - Allowance for clock differences when checking `exp` and `nbf` (default: '30s')
+ * @param {string} options.rootDir - Directory a relative jwksFile is resolved against
+ * @param {string} options.userClaim - Claim holding the user ID (default: 'sub')
+ * @param {string} options.groupsClaim - Claim holding the user's groups (default: 'groups')
+ * @param {string} options.rolesClaim - Claim holding the user's roles (default: 'roles')
+ * @param {string} options.adminRole - Role that grants access to admin routes (default: 'admin')
+ * @param {string} options.adminToken - Static token accepted in the X-Admin-Token header for admin routes,
+ *   for local use (default: ADMIN_TOKEN env var)
+ * @returns {{authenticate: Function, requireUser: Function, requireAdmin: Function, isAdmin: Function,
+ *   verifyToken: Function}} Express middleware, a check of whether a request is from an admin, and a
+ *   function returning the verified claims of a token
+ */
+module.exports = function createAuth(options = {}) {
+  const jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+  const jwksFile = options.jwksFile || process.env.JWT_JWKS_FILE;
+  const issuer = options.issuer || process.env.JWT_ISSUER || undefined;
+  const audience =
+    options.audience ||
+    (process.env.JWT_AUDIENCE
+      ? process.env.JWT_AUDIENCE.split(",")
+      : undefined);
+  const clockTolerance = parseDuration(options.clockTolerance);
+  const tolerance =
+    clockTolerance !== undefined ? clockTolerance : CLOCK_TOLERANCE;
+  const userClaim = options.userClaim || "sub";
+  const groupsClaim = options.groupsClaim || "groups";
+  const rolesClaim = options.rolesClaim || "roles";
+  const adminRole = options.adminRole || "admin";
+  const adminToken = options.adminToken || process.env.ADMIN_TOKEN;
+
+  const jwksPath = jwksFile
+    ? path.resolve(options.rootDir || process.cwd(), jwksFile)
+    : undefined;
+  let jwks = jwksPath ? loadJwks(jwksPath) : null;
+  let jwksLoaded = Date.now();
+
+  if (!jwtSecret && !jwks) {
+    log.warn(
+      "No JWT secret or JWKS file configured, all requests will be treated as anonymous"
+    );
+  }
+
+  // Find the key a token was signed with, and the algorithms it may use
+  const getKey = (header) => {
+    if (SECRET_ALGORITHMS.includes(header.alg)) {
+      if (!jwtSecret) {
+        throw new Error("No JWT secret configured for HMAC signed tokens");
+      }
+      return { key: jwtSecret, algorithms: SECRET_ALGORITHMS };
+    }
+    if (!jwks) {
+      throw new Error(`No JWKS file configured for ${header.alg} tokens`);
+    }
+    const find = () =>
+      jwks.get(header.kid || "") ||
+      (!header.kid && jwks.size === 1 ? jwks.values().next().value : null);
+    let entry = find();
+    if (!entry && Date.now() - jwksLoaded > JWKS_RELOAD_INTERVAL) {
+      jwks = loadJwks(jwksPath);
+      jwksLoaded = Date.now();
+      entry = find();
+    }
+    if (!entry) {
+      throw new Error(`Unknown signing key: ${header.kid}`);
+    }
+    return entry;
+  };
+
+  /**
+   * Verify a token's signature, expiry, issuer and audience
+   * @param {string} token - Encoded JWT
+   * @returns {Object} Claims of the token. Throws if it isn't valid.
+   */
+  const verifyToken = (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || typeof decoded.payload !== "object") {
+      throw new Error("Malformed token");
+    }
+    const { key, algorithms } = getKey(decoded.header);
+    return jwt.verify(token, key, {
+      algorithms,
+      issuer,
+      audience,
+      clockTolerance: tolerance
+    });
+  };
+
+  // Attach the verified user to req.user, or null for anonymous requests
+  const authenticate = (req, res, next) => {
+    req.user = null;
+    const token = getToken(req);
+    if (!token || (!jwtSecret && !jwks)) {
+      return next();
+    }
+    try {
+      const claims = verifyToken(token);
+      const sub = claims[userClaim];
+      if (sub !== undefined && sub !== null) {
+        const groups = claims[groupsClaim];
+        const roles = claims[rolesClaim];
+        req.user = {
+          ...claims,
+          sub: String(sub),
+          groups: Array.isArray(groups) ? groups.map(String) : [],
+          roles: Array.isArray(roles)
+            ? roles.map(String)
+            : typeof roles === "string"
+              ? roles.split(/[\s,]+/).filter((role) => role)
+              : []
+        };
+      }
+    } catch (error) {
+      log.forRequest(req).warn("Rejected token", { reason: error.message });
+    }
+    next();
+  };
+
+  // Respond with 401 unless the request has a verified user
+  const requireUser = (req, res, next) => {
+    if (!req.user) {
+      return sendProblem(res, 401, "Authentication required");
+    }
+    next();
+  };
+
+  // Whether the request has the admin token or a verified user with the
+  // admin role
+  const isAdmin = (req) => {
+    const token = req.get("X-Admin-Token");
+    if (token && adminToken && safeEqual(token, adminToken)) {
+      return true;
+    }
+    return !!req.user && req.user.roles.includes(adminRole);
+  };
+
+  // Respond with 401 or 403 unless the request is from an admin
+  const requireAdmin = (req, res, next) => {
+    if (isAdmin(req)) {
+      return next();
+    }
+    if (!req.user) {
+      return sendProblem(res, 401, "Authentication required");
+    }
+    sendProblem(res, 403, "Admin access required");
+  };
+
+  return { authenticate, requireUser, requireAdmin, isAdmin, verifyToken };
+};
+
+module.exports.getToken = getToken;
@@ -0,0 +1,84 @@
+/* jshint node: true */
+"use strict";
+
+const fs = require("fs");
+
+// Path the map is served under when none is configured
+const DEFAULT_BASE_PATH = "/twin";
+
+// Base paths are put in routes and in the page's <base href>, so keep them to
+// plain path segments
+const BASE_PATH_PATTERN = /^(\/[A-Za-z0-9._~-]+)*$/;
+
+/**
+ * Normalise a base path to start with "/" and not end with one, so routes can
+ * be mounted at `${basePath}/share`. The root is "".
+ * @param {string} value - Base path, e.g. "/twin", "twin/" or "/"
+ * @returns {string}
+ */
+function normalizeBasePath(value) {
+  const trimmed = String(value)
+    .trim()
+    .replace(/^\/+|\/+$/g, "");
+  const basePath = trimmed ? `/${trimmed}` : "";
+  if (
+    !BASE_PATH_PATTERN.test(basePath) ||
+    basePath.split("/").some((segment) => /^\.+$/.test(segment))
+  ) {
+    throw new Error(`Invalid base path: ${value}`);
+  }
+  return basePath;
+}
+
+/**
+ * Path the map is served under: the BASE_PATH environment variable, else
+ * serverconfig.json's "basePath", else /twin
+ * @param {Object} [settings] - Settings from serverconfig.json
+ * @returns {string} Normalised base path, "" for the root
+ */
+function getBasePath(settings = {}) {
+  if (process.env.BASE_PATH) {
+    return normalizeBasePath(process.env.BASE_PATH);
+  }
+  return normalizeBasePath(
+    settings.basePath !== undefined ? settings.basePath : DEFAULT_BASE_PATH
+  );
+}
+
+/**
+ * Base path for build scripts, which run without terriajs-server's options
+ * @param {string} configFile - Path to serverconfig.json
+ * @returns {string} Normalised base path, "" for the root
+ */
+function readBasePath(configFile) {
+  let settings = {};
+  try {
+    settings = JSON.parse(fs.readFileSync(configFile, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(
+        `Failed to read basePath from ${configFile}:`,
+        error.message
+      );
+    }
+  }
+  return getBasePath(settings);
+}
+
+/**
+ * Point a page's <base href> at the base path, so the relative URLs of a
+ * build work wherever it is served
+ * @param {string} html - The page
+ * @param {string} basePath - Normalised base path
+ * @returns {string}
+ */
+function setBaseHref(html, basePath) {
+  return html.replace(/<base\s+href="[^"]*"/i, `<base href="${basePath}/"`);
+}
+
+module.exports = {
+  normalizeBasePath,
+  getBasePath,
+  readBasePath,
+  setBaseHref
+};
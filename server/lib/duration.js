@@ -0,0 +1,32 @@
+/* jshint node: true */
+"use strict";
+
+const UNITS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60
+};
+
+/**
+ * Parse a duration into seconds
+ * Accepts a number of seconds, or a string such as '90', '30m', '12h' or '180d'.
+ * @param {number|string} value - Duration to parse
+ * @returns {number|undefined} Duration in seconds, or undefined if value is empty or invalid
+ */
+function parseDuration(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? value : undefined;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/.exec(String(value).trim());
+  if (!match) {
+    return undefined;
+  }
+  return Number(match[1]) * UNITS[match[2] || "s"];
+}
+
+module.exports = parseDuration;
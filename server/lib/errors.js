@@ -0,0 +1,148 @@
+/* jshint node: true */
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const log = require("./logger").logger.child({ module: "errors" });
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;"
+      })[char]
+  );
+
+// Whether error details may be sent to clients
+const isProduction = (req) => req.app.get("env") === "production";
+
+/**
+ * Respond with an RFC 9457 problem details document
+ * (application/problem+json), including the request's ID
+ * @param {express.Response} res
+ * @param {number} status - HTTP status
+ * @param {string} [detail] - Explanation for the client
+ * @param {Object} [extensions] - Extra members, e.g. {errors: [...]}
+ */
+function sendProblem(res, status, detail, extensions) {
+  res
+    .status(status)
+    .type("application/problem+json")
+    .send(
+      JSON.stringify({
+        type: "about:blank",
+        title: http.STATUS_CODES[status] || "Error",
+        status,
+        detail,
+        requestId: res.req.id,
+        ...extensions
+      })
+    );
+}
+
+/**
+ * Handlers for requests nothing else answered, and for errors passed to
+ * `next`. Browsers get wwwroot/404.html or 500.html with the request's ID.
+ * API routes, and clients that prefer JSON, get problem+json. Stack traces
+ * and the messages of server errors are only sent outside production.
+ *
+ * @param {Object} options
+ * @param {string} options.wwwroot - Directory holding 404.html and 500.html
+ * @param {string[]} options.apiPaths - Paths answered with problem+json, e.g. ["/twin/share"]
+ * @returns {{notFound: Function, handleError: Function}} Express middleware
+ */
+function createErrorHandlers(options) {
+  // Pages, read when first needed
+  const pages = new Map();
+  const readPage = (name) => {
+    if (!pages.has(name)) {
+      let page = null;
+      try {
+        page = fs.readFileSync(path.join(options.wwwroot, name), "utf8");
+      } catch (error) {
+        log.warn("No error page", { page: name, reason: error.message });
+      }
+      pages.set(name, page);
+    }
+    return pages.get(name);
+  };
+
+  const wantsProblem = (req) =>
+    options.apiPaths.some(
+      (apiPath) => req.path === apiPath || req.path.startsWith(`${apiPath}/`)
+    ) || req.accepts(["html", "json", "application/problem+json"]) !== "html";
+
+  // Render 404.html for client errors and 500.html for server errors, with
+  // the actual status, its description and the request's ID
+  const renderPage = (req, status) => {
+    const page = readPage(status < 500 ? "404.html" : "500.html");
+    const description = http.STATUS_CODES[status] || "Error";
+    if (!page) {
+      return `${status} ${escapeHtml(description)} (request ID ${escapeHtml(req.id)})`;
+    }
+    return page
+      .replace(/(<h1 class="error-number">)[^<]*(<\/h1>)/, `$1${status}$2`)
+      .replace(
+        /(<h2 class="error-description" id="desc">)[^<]*(<\/h2>)/,
+        status === 404 || status === 500
+          ? "$&"
+          : `$1${escapeHtml(description)}.$2`
+      )
+      .replace(
+        "</h2>",
+        `</h2>\n      <p class="request-id">Request ID: ${escapeHtml(req.id)}</p>`
+      );
+  };
+
+  const send = (req, res, status, detail, extensions) => {
+    if (wantsProblem(req)) {
+      sendProblem(res, status, detail, extensions);
+    } else {
+      res.status(status).type("html").send(renderPage(req, status));
+    }
+  };
+
+  const notFound = (req, res) => {
+    send(req, res, 404, "Nothing is served at this path");
+  };
+
+  const handleError = (error, req, res, next) => {
+    const errorStatus = error.status || error.statusCode;
+    const status =
+      Number.isInteger(errorStatus) && errorStatus >= 400 && errorStatus < 600
+        ? errorStatus
+        : 500;
+    const requestLog = log.forRequest(req);
+    if (status >= 500) {
+      requestLog.error("Unhandled error", { error });
+    } else {
+      requestLog.info("Request rejected", { status, reason: error.message });
+    }
+
+    if (res.headersSent) {
+      // Too late for an error response, so cut the response short
+      res.destroy();
+      return;
+    }
+    if (status < 500) {
+      send(req, res, status, error.message);
+    } else if (isProduction(req)) {
+      send(req, res, status);
+    } else {
+      send(req, res, status, error.message, { stack: error.stack });
+    }
+  };
+
+  return { notFound, handleError };
+}
+
+module.exports = {
+  createErrorHandlers,
+  sendProblem
+};
@@ -0,0 +1,102 @@
+/* jshint node: true */
+"use strict";
+
+const express = require("express");
+const log = require("./logger").logger.child({ module: "health" });
+
+// Seconds a readiness result is reused for, so frequent probes don't write
+// to storage every time
+const READY_CHECK_INTERVAL = 10;
+
+/**
+ * Health, readiness and metrics endpoints
+ *
+ * `/healthz` answers as long as the process is serving requests.
+ * `/readyz` runs the readiness checks modules add with `addCheck`, and
+ * answers 503 while any of them fails. Why a check failed is logged rather
+ * than sent to clients. `/metrics` serves the metrics in the Prometheus text
+ * format, if turned on.
+ *
+ * @param {Object} options
+ * @param {Object} options.metrics - Registry created by `createMetrics`
+ * @param {boolean} [options.serveMetrics] - Serve /metrics (default: false)
+ * @returns {{addCheck: Function, router: express.Router}}
+ */
+module.exports = function createHealth(options) {
+  const checks = new Map();
+  let lastCheck = 0;
+  let pending;
+  let result;
+
+  /**
+   * Add a readiness check
+   * @param {string} name - Name reported by /readyz, e.g. "share"
+   * @param {Function} check - Async function that throws if not ready
+   */
+  const addCheck = (name, check) => {
+    checks.set(name, check);
+  };
+
+  const runChecks = async () => {
+    const results = {};
+    let ready = true;
+    for (const [name, check] of checks) {
+      try {
+        await check();
+        results[name] = "ok";
+      } catch (error) {
+        ready = false;
+        results[name] = "failing";
+        log.warn("Readiness check failed", { check: name, error });
+      }
+    }
+    return { status: ready ? "ready" : "not ready", checks: results };
+  };
+
+  // Run the checks at most once per interval, sharing a run between probes
+  const checkReady = () => {
+    if (result && Date.now() - lastCheck < READY_CHECK_INTERVAL * 1000) {
+      return Promise.resolve(result);
+    }
+    if (!pending) {
+      pending = runChecks().then((checked) => {
+        result = checked;
+        lastCheck = Date.now();
+        pending = undefined;
+        return checked;
+      });
+    }
+    return pending;
+  };
+
+  const router = express.Router();
+
+  router.get("/healthz", (req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+  });
+
+  router.get("/readyz", async (req, res, next) => {
+    try {
+      const checked = await checkReady();
+      res.set("Cache-Control", "no-store");
+      res.status(checked.status === "ready" ? 200 : 503).json(checked);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  if (options.serveMetrics === true) {
+    router.get("/metrics", async (req, res, next) => {
+      try {
+        const text = await options.metrics.render();
+        res.set("Cache-Control", "no-store");
+        res.type("text/plain; version=0.0.4").send(text);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  return { addCheck, router };
+};
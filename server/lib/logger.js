@@ -0,0 +1,267 @@
+/* jshint node: true */
+"use strict";
+
+const crypto = require("crypto");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Level used until one is configured
+const DEFAULT_LEVEL = "info";
+
+// Incoming X-Request-Id values are reused only if they are short and plain,
+// so they can't inject anything into the logs or response headers
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:@/+=-]{1,128}$/;
+
+// Fields whose values are never written to the logs
+const SENSITIVE_FIELD =
+  /^(authorization|proxy-authorization|cookie|set-cookie|x-admin-token|password|secret|token|access_token|refresh_token|id_token|jwt)$/i;
+
+// Query string parameters whose values are never written to the logs
+const SENSITIVE_PARAM =
+  /token|secret|password|passwd|api[_-]?key|signature|^sig$|^key$|^code$|^auth/i;
+
+// Fields holding URLs, whose query strings are redacted
+const URL_FIELD = /url$|^referr?er$|^upstream$/i;
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Replace the values of sensitive query string parameters, e.g. access_token,
+ * with [REDACTED]. Also covers URLs nested in the path, as the proxy gets them.
+ * @param {string} url
+ * @returns {string}
+ */
+function redactUrl(url) {
+  return String(url).replace(
+    /([?&])([^=&#]+)=([^&#]*)/g,
+    (match, separator, name) => {
+      let decoded = name;
+      try {
+        decoded = decodeURIComponent(name);
+      } catch (error) {
+        // Keep the name as it is
+      }
+      return SENSITIVE_PARAM.test(decoded)
+        ? `${separator}${name}=${REDACTED}`
+        : match;
+    }
+  );
+}
+
+// Error fields worth logging. The stack stays in the logs even in production.
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  status: error.status,
+  stack: error.stack
+});
+
+// Copy fields for a log entry, redacting secrets
+function redactFields(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (!value || typeof value !== "object" || depth > 4) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactFields(item, depth + 1));
+  }
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) {
+      continue;
+    }
+    if (SENSITIVE_FIELD.test(key)) {
+      result[key] = REDACTED;
+    } else if (URL_FIELD.test(key) && typeof field === "string") {
+      result[key] = redactUrl(field);
+    } else {
+      result[key] = redactFields(field, depth + 1);
+    }
+  }
+  return result;
+}
+
+/**
+ * Logger writing one JSON object per line: the time, level, message and
+ * fields. Debug and info go to stdout, warnings and errors to stderr.
+ * Loggers made with `child` add their fields to every entry and share
+ * their parent's level.
+ */
+class Logger {
+  /**
+   * @param {Object} [fields] - Fields added to every entry
+   * @param {Object} [root] - Settings shared with the parent logger
+   */
+  constructor(fields = {}, root = undefined) {
+    this.fields = fields;
+    this.root = root || {
+      level: LEVELS[process.env.LOG_LEVEL] || LEVELS[DEFAULT_LEVEL]
+    };
+  }
+
+  /**
+   * Logger adding fields to every entry, e.g. {module: "share"}
+   * @param {Object} fields
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, this.root);
+  }
+
+  /**
+   * Logger for a request, adding its ID if `requestLogger` gave it one
+   * @param {express.Request} req
+   * @returns {Logger}
+   */
+  forRequest(req) {
+    return req && req.id ? this.child({ requestId: req.id }) : this;
+  }
+
+  /**
+   * Set the lowest level written, for this logger and every logger sharing
+   * its root
+   * @param {string} level - "debug", "info", "warn", "error" or "silent"
+   */
+  setLevel(level) {
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+      this.warn("Ignoring unknown log level", { level });
+      return;
+    }
+    this.root.level = LEVELS[level];
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= this.root.level;
+  }
+
+  /**
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} [fields] - Extra fields. Errors are logged with their stack.
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...redactFields({ ...this.fields, ...fields })
+    };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      // e.g. a circular field
+      line = JSON.stringify({
+        time: entry.time,
+        level,
+        msg: message,
+        logError: error.message
+      });
+    }
+    const stream =
+      LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+}
+
+// Logger every module logs through. server.js sets its level.
+const logger = new Logger();
+
+/**
+ * Middleware giving each request an ID and logging it once it has been
+ * answered, with its status and duration. The ID is the request's
+ * X-Request-Id if it has a usable one, and is sent back in X-Request-Id.
+ * `req.log` logs with the ID, as does `logger.forRequest(req)`.
+ * @param {Logger} log - Logger the requests are logged with
+ * @param {Object} options
+ * @param {string} options.proxyPath - Path the proxy is served under, e.g. "/twin/proxy/"
+ * @returns {Function} Express middleware
+ */
+function requestLogger(log, options) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const incomingId = req.get("X-Request-Id");
+    req.id =
+      incomingId && REQUEST_ID_PATTERN.test(incomingId)
+        ? incomingId
+        : crypto.randomUUID();
+    req.log = log.forRequest(req);
+    res.set("X-Request-Id", req.id);
+
+    // The proxy's target URL follows its path
+    const upstream = req.path.startsWith(options.proxyPath)
+      ? req.originalUrl.slice(
+          req.originalUrl.indexOf(options.proxyPath) + options.proxyPath.length
+        )
+      : undefined;
+
+    req.log.debug("Request received", {
+      method: req.method,
+      url: req.originalUrl,
+      headers: req.headers
+    });
+
+    const done = (aborted) => {
+      res.removeListener("finish", onFinish);
+      res.removeListener("close", onClose);
+      const status = res.statusCode;
+      const fields = {
+        method: req.method,
+        url: req.originalUrl,
+        upstream,
+        status,
+        durationMs:
+          Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+        bytes: Number(res.get("Content-Length")) || undefined,
+        ip: req.ip,
+        user: req.user ? req.user.sub : undefined,
+        userAgent: req.get("User-Agent")
+      };
+      if (aborted) {
+        req.log.warn("Request aborted", fields);
+      } else if (status >= 500) {
+        req.log.error(
+          upstream ? "Proxy request failed" : "Request failed",
+          fields
+        );
+      } else {
+        req.log.info(upstream ? "Proxy request" : "Request", fields);
+      }
+    };
+    const onFinish = () => done(false);
+    const onClose = () => done(true);
+    res.on("finish", onFinish);
+    res.on("close", onClose);
+    next();
+  };
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger,
+  requestLogger,
+  redactUrl
+};
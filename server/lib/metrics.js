@@ -0,0 +1,303 @@
+/* jshint node: true */
+"use strict";
+
+const log = require("./logger").logger.child({ module: "metrics" });
+
+// Default histogram buckets for durations, in seconds
+const DURATION_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+];
+
+// Escape a label value for the Prometheus text format
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+// Render labels as {a="1",b="2"}, or "" without labels
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * A metric with a value per combination of label values
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Values keyed by their label values
+    this.values = new Map();
+  }
+
+  // Label values in the order of labelNames, as a key
+  key(labels) {
+    return JSON.stringify(
+      this.labelNames.map((name) =>
+        labels[name] === undefined ? "" : String(labels[name])
+      )
+    );
+  }
+
+  // Labels for a key
+  labels(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(
+      this.labelNames.map((name, i) => [name, values[i]])
+    );
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    for (const [key, value] of this.values) {
+      lines.push(...this.renderValue(this.labels(key), value));
+    }
+    return lines.join("\n");
+  }
+
+  renderValue(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Function} [collect] - Called before the gauge is rendered, to set its values
+   */
+  constructor(name, help, labelNames, collect) {
+    super("gauge", name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        entry.counts[i]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  renderValue(labels, entry) {
+    const lines = this.buckets.map(
+      (bound, i) =>
+        `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[i]}`
+    );
+    lines.push(
+      `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${entry.count}`,
+      `${this.name}_sum${formatLabels(labels)} ${entry.sum}`,
+      `${this.name}_count${formatLabels(labels)} ${entry.count}`
+    );
+    return lines;
+  }
+}
+
+/**
+ * Metrics served in the Prometheus text format. Modules add their metrics
+ * with `counter`, `gauge` and `histogram`, and getting a metric that already
+ * exists returns it.
+ * @returns {Object} Registry
+ */
+function createMetrics() {
+  const metrics = new Map();
+
+  const add = (name, create) => {
+    if (!metrics.has(name)) {
+      metrics.set(name, create());
+    }
+    return metrics.get(name);
+  };
+
+  const registry = {
+    /**
+     * @param {string} name - Metric name, e.g. "share_creates_total"
+     * @param {string} help - Description
+     * @param {string[]} [labelNames]
+     * @returns {Counter}
+     */
+    counter: (name, help, labelNames) =>
+      add(name, () => new Counter(name, help, labelNames)),
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {Function} [collect] - Async function setting the gauge's values when metrics are rendered
+     * @returns {Gauge}
+     */
+    gauge: (name, help, labelNames, collect) =>
+      add(name, () => new Gauge(name, help, labelNames, collect)),
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets] - Upper bounds of the buckets (default: durations in seconds)
+     * @returns {Histogram}
+     */
+    histogram: (name, help, labelNames, buckets) =>
+      add(name, () => new Histogram(name, help, labelNames, buckets)),
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {Promise<string>}
+     */
+    async render() {
+      for (const metric of metrics.values()) {
+        if (metric.collect) {
+          try {
+            await metric.collect(metric);
+          } catch (error) {
+            log.warn("Failed to collect metric", {
+              metric: metric.name,
+              error
+            });
+          }
+        }
+      }
+      return `${Array.from(metrics.values(), (metric) => metric.render()).join("\n")}\n`;
+    }
+  };
+
+  // Process metrics
+  registry.gauge(
+    "process_resident_memory_bytes",
+    "Resident memory size in bytes",
+    [],
+    (gauge) => gauge.set({}, process.memoryUsage().rss)
+  );
+  registry.gauge(
+    "nodejs_heap_used_bytes",
+    "V8 heap used in bytes",
+    [],
+    (gauge) => gauge.set({}, process.memoryUsage().heapUsed)
+  );
+  registry.gauge(
+    "process_uptime_seconds",
+    "Time since the process started in seconds",
+    [],
+    (gauge) => gauge.set({}, process.uptime())
+  );
+
+  return registry;
+}
+
+/**
+ * Middleware recording the count and duration of requests per route, and the
+ * traffic through the proxy. Routes are the paths Express matched, such as
+ * "/twin/share/:id". Requests no route handled, e.g. for static files, are
+ * counted under "other".
+ * @param {Object} metrics - Registry created by `createMetrics`
+ * @param {Object} options
+ * @param {string} options.proxyPath - Path the proxy is served under, e.g. "/twin/proxy/"
+ * @returns {Function} Express middleware
+ */
+function requestMetrics(metrics, options) {
+  const requests = metrics.counter(
+    "http_requests_total",
+    "HTTP requests by route and status",
+    ["method", "route", "status"]
+  );
+  const durations = metrics.histogram(
+    "http_request_duration_seconds",
+    "HTTP request durations by route",
+    ["method", "route"]
+  );
+  const proxyRequests = metrics.counter(
+    "proxy_requests_total",
+    "Requests through the proxy by status",
+    ["status"]
+  );
+  const proxyBytes = metrics.counter(
+    "proxy_response_bytes_total",
+    "Bytes sent to clients by the proxy, before compression"
+  );
+  const proxyDurations = metrics.histogram(
+    "proxy_request_duration_seconds",
+    "Durations of requests through the proxy"
+  );
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const isProxy = req.path.startsWith(options.proxyPath);
+
+    let bytes = 0;
+    if (isProxy) {
+      const count = (chunk) => {
+        if (chunk && typeof chunk !== "function") {
+          bytes +=
+            typeof chunk === "string" ? Buffer.byteLength(chunk) : chunk.length;
+        }
+      };
+      const { write, end } = res;
+      res.write = function (chunk, ...args) {
+        count(chunk);
+        return write.call(this, chunk, ...args);
+      };
+      res.end = function (chunk, ...args) {
+        count(chunk);
+        return end.call(this, chunk, ...args);
+      };
+    }
+
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      const status = res.statusCode;
+      let route = "other";
+      if (req.route) {
+        route = `${req.baseUrl}${req.route.path}`;
+      } else if (isProxy) {
+        route = options.proxyPath;
+      }
+      requests.inc({ method: req.method, route, status });
+      durations.observe({ method: req.method, route }, seconds);
+      if (isProxy) {
+        proxyRequests.inc({ status });
+        proxyBytes.inc({}, bytes);
+        proxyDurations.observe({}, seconds);
+      }
+    });
+    next();
+  };
+}
+
+module.exports = createMetrics;
+module.exports.requestMetrics = requestMetrics;
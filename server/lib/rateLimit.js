@@ -0,0 +1,62 @@
+/* jshint node: true */
+"use strict";
+
+const { sendProblem } = require("./errors");
+
+/**
+ * In-memory fixed window rate limiter
+ * Counts are kept per process, so with several server instances each one
+ * enforces the limit separately.
+ */
+
+/**
+ * Create rate limiting middleware
+ * @param {Object} options - Configuration options
+ * @param {number} options.window - Window length in seconds
+ * @param {number} options.max - Requests allowed per key per window. Requests are not limited if this is 0 or unset
+ * @param {Function} options.key - Returns the key to count a request against, or undefined to skip it
+ * @param {string} options.message - Message for 429 responses
+ * @returns {Function} Express middleware
+ */
+module.exports = function createRateLimiter(options) {
+  const windowMs = options.window * 1000;
+  const max = options.max;
+  const message = options.message || "Too many requests, try again later";
+  const hits = new Map();
+
+  // Forget windows that have ended
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.reset <= now) {
+        hits.delete(key);
+      }
+    }
+  }, windowMs);
+  timer.unref();
+
+  return (req, res, next) => {
+    const key = max ? options.key(req) : undefined;
+    if (key === undefined) {
+      return next();
+    }
+
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.reset <= now) {
+      entry = { count: 0, reset: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    res.setHeader("RateLimit-Limit", max);
+    res.setHeader("RateLimit-Remaining", Math.max(0, max - entry.count));
+    res.setHeader("RateLimit-Reset", Math.ceil((entry.reset - now) / 1000));
+
+    if (entry.count > max) {
+      res.setHeader("Retry-After", Math.ceil((entry.reset - now) / 1000));
+      return sendProblem(res, 429, message);
+    }
+    next();
+  };
+};
@@ -0,0 +1,81 @@
+/* jshint node: true */
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * Configuration served to clients at /serverconfig
+ *
+ * Only fields clients need are copied from serverconfig.json, since it also
+ * holds secrets such as storage credentials. The share service and URL
+ * shortener register what they serve: each registration turns on a feature
+ * flag and may add fields. The response is the same for every client, and
+ * carries an ETag so clients can revalidate their cached copy.
+ *
+ * @param {Object} options
+ * @param {Object} options.settings - Settings from serverconfig.json
+ * @param {string} options.basePath - Path the map is served under
+ * @param {string} options.version - Version of the map
+ * @param {string} [options.build] - Build of the map, as written to version.js by gulp
+ * @returns {{register: Function, getConfig: Function, handler: Function}}
+ */
+module.exports = function createServerConfig(options) {
+  const settings = options.settings || {};
+  const features = {};
+  const fields = {};
+  // Built on the first request, once every module has registered
+  let config;
+  // Body and ETag of the response, built with the configuration
+  let response;
+
+  /**
+   * Turn on a feature and add the fields clients need for it
+   * @param {string} feature - Feature flag, e.g. "share"
+   * @param {Object} [featureFields] - Fields to add to the configuration
+   */
+  const register = (feature, featureFields = {}) => {
+    if (config) {
+      throw new Error(
+        `Server config: "${feature}" registered after it was served`
+      );
+    }
+    features[feature] = true;
+    Object.assign(fields, featureFields);
+  };
+
+  const getConfig = () => {
+    if (!config) {
+      config = {
+        version: options.version,
+        build: options.build,
+        basePath: options.basePath,
+        allowProxyFor: settings.allowProxyFor || [],
+        proxyAllDomains: settings.proxyAllDomains === true,
+        ...fields,
+        features
+      };
+    }
+    return config;
+  };
+
+  const getResponse = () => {
+    if (!response) {
+      const body = JSON.stringify(getConfig());
+      const hash = crypto.createHash("sha256").update(body).digest("hex");
+      response = { body, etag: `"${hash.slice(0, 32)}"` };
+    }
+    return response;
+  };
+
+  // GET /serverconfig
+  const handler = (req, res) => {
+    const { body, etag } = getResponse();
+    // Cached copies are revalidated, to pick up configuration changes
+    res.set("Cache-Control", "no-cache");
+    res.set("ETag", etag);
+    // Express answers 304 when the request's If-None-Match matches the ETag
+    res.type("json").send(body);
+  };
+
+  return { register, getConfig, handler };
+};
@@ -3,107 +3,879 @@
 
 const express = require("express");
 const bodyParser = require("body-parser");
-const fs = require("fs").promises;
 const path = require("path");
 const crypto = require("crypto");
+const { createStorage } = require("./storage");
+const parseDuration = require("./duration");
+const createAuth = require("./auth");
+const createRateLimiter = require("./rateLimit");
+const { validateShareData, sanitizeShareData } = require("./shareValidation");
+const { referrerHost, addCount, mergeCounts } = require("./analytics");
+const createMetrics = require("./metrics");
+const { sendProblem } = require("./errors");
+const log = require("./logger").logger.child({ module: "share" });
 
 /**
- * Simple file-based share data service for Terria
- * This provides an alternative to GitHub Gists or S3 for storing share data
+ * Share data service for Terria
+ * This provides an alternative to GitHub Gists for storing share data, with
+ * pluggable storage backends (file, SQLite or S3-compatible) per share prefix
  */
 
-// Generate a short hash from content
-function generateShortId(content, length = 8) {
-  const hash = crypto.createHash("sha256").update(content).digest("hex");
-  return hash.substring(0, length);
+// Share IDs are used as file names and object keys, so keep them to a safe alphabet
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Written and deleted to check that a store is writable. Can't clash with a
+// share, since "." isn't allowed in share IDs.
+const PROBE_ID = ".readyz";
+
+// Seconds the storage size metrics are reused for
+const STORAGE_METRICS_INTERVAL = 60;
+
+// Seconds before retrying a store that failed to initialise, doubled after
+// each failure up to the maximum
+const INIT_RETRY_DELAY = 5;
+const INIT_RETRY_MAX_DELAY = 300;
+
+// Share IDs are the start of the content hash written in this alphabet
+const DEFAULT_ID_ALPHABET = "0123456789abcdef";
+const DEFAULT_ID_LENGTH = 8;
+
+/**
+ * Validate share ID settings, falling back to the defaults for invalid values
+ * @param {Object} settings
+ * @param {number} settings.length - Minimum ID length (default: 8)
+ * @param {string} settings.alphabet - Characters IDs are written in (default: lowercase hex)
+ * @returns {{idLength: number, idAlphabet: string}} ID policy
+ */
+function parseIdSettings(settings = {}) {
+  let idAlphabet = DEFAULT_ID_ALPHABET;
+  if (settings.alphabet !== undefined) {
+    const alphabet = String(settings.alphabet);
+    if (
+      alphabet.length >= 2 &&
+      SHARE_ID_PATTERN.test(alphabet) &&
+      new Set(alphabet).size === alphabet.length
+    ) {
+      idAlphabet = alphabet;
+    } else {
+      log.warn(
+        "Ignoring shareIds.alphabet, it must have at least 2 distinct characters from A-Z, a-z, 0-9, _ and -"
+      );
+    }
+  }
+
+  let idLength = DEFAULT_ID_LENGTH;
+  if (settings.length !== undefined) {
+    const length = Number(settings.length);
+    if (Number.isInteger(length) && length >= 4 && length <= 32) {
+      idLength = length;
+    } else {
+      log.warn("Ignoring shareIds.length, it must be from 4 to 32");
+    }
+  }
+  return { idLength, idAlphabet };
+}
+
+// Serialise JSON with object keys sorted, so equivalent share data compares equal
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (typeof value === "object" && value !== null) {
+    const members = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(",")}}`;
+  }
+  return JSON.stringify(value);
 }
 
-// Generate a random ID (for collision avoidance)
-function generateRandomId(length = 8) {
-  const chars =
-    "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+// Canonical form of share content, or the content itself if it isn't JSON
+function canonicalContent(content) {
+  try {
+    return canonicalJson(JSON.parse(content));
+  } catch {
+    return content;
+  }
+}
+
+// Write a hash in the given alphabet, most significant digit first, padded so
+// every hash has the same width
+function encodeHash(hash, alphabet) {
+  const base = BigInt(alphabet.length);
+  let value = BigInt(`0x${hash.toString("hex")}`);
   let result = "";
-  const bytes = crypto.randomBytes(length);
-  for (let i = 0; i < length; i++) {
-    result += chars[bytes[i] % chars.length];
+  while (value > BigInt(0)) {
+    result = alphabet[Number(value % base)] + result;
+    value /= base;
+  }
+  const width = Math.ceil((hash.length * 8) / Math.log2(alphabet.length));
+  return result.padStart(width, alphabet[0]);
+}
+
+// Whether two shares have the same owner and visibility, so one can stand in
+// for the other
+function sameAccess(a, b) {
+  const access = (metadata) =>
+    JSON.stringify([
+      metadata.owner || null,
+      metadata.visibility || "public",
+      (metadata.allowedUsers || []).slice().sort(),
+      (metadata.allowedGroups || []).slice().sort()
+    ]);
+  return access(a) === access(b);
+}
+
+// Create an error carrying the HTTP status the router should respond with,
+// and optionally extra fields for the response body
+function shareError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Parse a size such as 1048576, '500kb' or '2gb' into bytes
+function parseSize(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+  if (!match) {
+    return undefined;
+  }
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.floor(Number(match[1]) * units[(match[2] || "b").toLowerCase()]);
+}
+
+// Whether a share's metadata says it has expired
+function isExpired(metadata, now = Date.now()) {
+  return (
+    !!metadata &&
+    !metadata.pinned &&
+    !!metadata.expires &&
+    Date.parse(metadata.expires) <= now
+  );
+}
+
+const VISIBILITIES = ["public", "authenticated", "owner", "restricted"];
+
+/**
+ * Validate share visibility settings
+ * @param {Object} settings
+ * @param {string} settings.visibility - One of 'public', 'authenticated', 'owner' or 'restricted'
+ * @param {string[]} settings.allowedUsers - User IDs allowed to view a restricted share
+ * @param {string[]} settings.allowedGroups - Groups allowed to view a restricted share
+ * @returns {Object} Visibility metadata fields
+ */
+function parseVisibility(settings) {
+  const visibility = settings.visibility || "public";
+  if (!VISIBILITIES.includes(visibility)) {
+    throw shareError(
+      `visibility must be one of: ${VISIBILITIES.join(", ")}`,
+      400
+    );
   }
-  return result;
+  if (visibility !== "restricted") {
+    return { visibility };
+  }
+
+  const allowedUsers = settings.allowedUsers || [];
+  const allowedGroups = settings.allowedGroups || [];
+  for (const list of [allowedUsers, allowedGroups]) {
+    if (!Array.isArray(list) || list.some((v) => typeof v !== "string")) {
+      throw shareError(
+        "allowedUsers and allowedGroups must be arrays of strings",
+        400
+      );
+    }
+  }
+  if (allowedUsers.length === 0 && allowedGroups.length === 0) {
+    throw shareError(
+      "A restricted share needs at least one allowed user or group",
+      400
+    );
+  }
+  return { visibility, allowedUsers, allowedGroups };
+}
+
+/**
+ * Check whether a user may view a share, throwing 401 or 403 if not
+ * @param {Object} metadata - Share metadata
+ * @param {Object|null} user - Verified user from `req.user`
+ */
+function checkVisibility(metadata, user) {
+  const visibility = metadata.visibility || "public";
+  if (visibility === "public") {
+    return;
+  }
+  if (!user) {
+    throw shareError("Login required to view this share", 401);
+  }
+  if (visibility === "authenticated" || metadata.owner === user.sub) {
+    return;
+  }
+  if (visibility === "restricted") {
+    const groups = user.groups || [];
+    if (
+      (metadata.allowedUsers || []).includes(user.sub) ||
+      (metadata.allowedGroups || []).some((group) => groups.includes(group))
+    ) {
+      return;
+    }
+  }
+  throw shareError("You do not have access to this share", 403);
+}
+
+// Columns of the CSV analytics export
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "owner",
+  "visibility",
+  "created",
+  "expires",
+  "size",
+  "views",
+  "firstAccessed",
+  "lastAccessed",
+  "referrers"
+];
+
+// Quote a CSV field if needed. Fields starting with a formula character are
+// prefixed with ' so spreadsheets don't evaluate titles set by users.
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  let field = String(value);
+  if (/^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+// Split a comma separated query parameter into a list
+function splitList(value) {
+  return value
+    ? String(value)
+        .split(",")
+        .map((v) => v.trim())
+        .filter((v) => v)
+    : [];
 }
 
 class ShareDataStore {
-  constructor(storageDir) {
-    this.storageDir = storageDir;
-    this.indexFile = path.join(storageDir, "index.json");
-    this.dataDir = path.join(storageDir, "data");
+  /**
+   * @param {Object} storage - Storage backend created by `createStorage`
+   * @param {Object} policy - Expiry and quota policy
+   * @param {number} policy.defaultTtl - TTL in seconds for shares created without one (default: never expire)
+   * @param {number} policy.maxTtl - Upper limit in seconds for requested TTLs (default: no limit)
+   * @param {number} policy.userQuota - Bytes each owner may store (default: no limit)
+   * @param {number} policy.totalQuota - Bytes the store may hold (default: no limit)
+   * @param {number} policy.idLength - Minimum share ID length (default: 8)
+   * @param {string} policy.idAlphabet - Characters share IDs are written in (default: lowercase hex)
+   * @param {boolean} policy.trackAccess - Record view counts and referrers (default: true)
+   */
+  constructor(storage, policy = {}) {
+    this.storage = storage;
+    this.log = log.child({ prefix: policy.prefix });
+    this.defaultTtl = policy.defaultTtl;
+    this.maxTtl = policy.maxTtl;
+    this.userQuota = policy.userQuota;
+    this.totalQuota = policy.totalQuota;
+    this.idLength = policy.idLength || DEFAULT_ID_LENGTH;
+    this.idAlphabet = policy.idAlphabet || DEFAULT_ID_ALPHABET;
+    // Bytes stored in total and per owner, computed on first use
+    this.usage = null;
+    this.ready = false;
+    // Initialisation in progress
+    this.initialising = null;
+    // Saves in progress, keyed by content hash
+    this.saving = new Map();
+    // Revisions being added, keyed by share ID
+    this.revising = new Map();
+    this.trackAccess = policy.trackAccess !== false;
+    // Views not yet written to the index, keyed by share ID
+    this.pendingAccess = new Map();
+  }
+
+  /**
+   * Initialise the storage backend. Concurrent calls share one attempt, and
+   * a call after a failed attempt tries again.
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (this.ready) {
+      return Promise.resolve();
+    }
+    if (!this.initialising) {
+      this.initialising = this.storage.init().then(
+        () => {
+          this.ready = true;
+          this.initialising = null;
+        },
+        (error) => {
+          this.initialising = null;
+          throw error;
+        }
+      );
+    }
+    return this.initialising;
   }
 
-  async init() {
+  /**
+   * Wait until the store is initialised, trying again if it failed
+   * @throws {Error} With status 503 if the storage backend can't be initialised
+   */
+  async whenReady() {
     try {
-      await fs.mkdir(this.storageDir, { recursive: true });
-      await fs.mkdir(this.dataDir, { recursive: true });
+      await this.init();
+    } catch (error) {
+      throw shareError("Share storage is unavailable", 503);
+    }
+  }
 
-      // Create index file if it doesn't exist
-      try {
-        await fs.access(this.indexFile);
-      } catch {
-        await fs.writeFile(this.indexFile, JSON.stringify({}));
+  /**
+   * Throw if the store hasn't been initialised or can't be written to
+   */
+  async checkWritable() {
+    if (!this.ready) {
+      throw new Error("Not initialised");
+    }
+    await this.storage.writeData(PROBE_ID, new Date().toISOString());
+    await this.storage.deleteData(PROBE_ID);
+  }
+
+  /**
+   * Save share data
+   *
+   * IDs are content addressed: the ID is the start of the hash of the
+   * canonical JSON, lengthened one character at a time past IDs taken by other
+   * content. Saving content that is already stored with the same owner and
+   * visibility returns the existing share and increments its `refs` count.
+   * @param {string} content - Share data
+   * @param {Object} options
+   * @param {number} options.ttl - Seconds until the share expires (default: the store's defaultTtl)
+   * @param {boolean} options.pinned - Pinned shares never expire
+   * @param {string} options.owner - User ID (JWT `sub`) of the share's creator
+   * @param {Object} options.visibility - Visibility metadata from `parseVisibility`
+   * @returns {Promise<{id: string, metadata: Object, existing: boolean}>} Share ID, stored metadata
+   *   and whether an existing share was returned
+   */
+  async save(content, options = {}) {
+    const canonical = canonicalContent(content);
+    const hash = crypto.createHash("sha256").update(canonical).digest();
+
+    // Save identical content one request at a time, so concurrent requests
+    // end up with the same share
+    const key = hash.toString("hex");
+    const previous = this.saving.get(key) || Promise.resolve();
+    const run = previous.then(() =>
+      this.saveContent(content, canonical, hash, options)
+    );
+    const done = run.catch(() => {});
+    this.saving.set(key, done);
+    done.then(() => {
+      if (this.saving.get(key) === done) {
+        this.saving.delete(key);
       }
+    });
+    return run;
+  }
+
+  // Store content under the first free ID for its hash, or reuse the share
+  // already holding it
+  async saveContent(content, canonical, hash, options) {
+    try {
+      const size = Buffer.byteLength(content, "utf8");
+      const now = Date.now();
+      const metadata = {
+        created: new Date(now).toISOString(),
+        size
+      };
+      if (options.owner) {
+        metadata.owner = options.owner;
+      }
+      if (options.visibility && options.visibility.visibility !== "public") {
+        Object.assign(metadata, options.visibility);
+      }
+      if (options.pinned) {
+        metadata.pinned = true;
+      } else {
+        let ttl = options.ttl !== undefined ? options.ttl : this.defaultTtl;
+        if (ttl !== undefined && this.maxTtl !== undefined) {
+          ttl = Math.min(ttl, this.maxTtl);
+        }
+        if (ttl !== undefined) {
+          metadata.expires = new Date(now + ttl * 1000).toISOString();
+        }
+      }
+
+      const encodedHash = encodeHash(hash, this.idAlphabet);
+      for (let length = this.idLength; length <= encodedHash.length; length++) {
+        const id = encodedHash.slice(0, length);
+        const stored = await this.storage.readData(id);
+        const existing =
+          stored === null ? null : (await this.storage.getMeta(id)) || {};
+
+        // The ID is taken by a live share with different content or access,
+        // or one that has been updated and so no longer matches its ID. A
+        // pinned share is never made by reusing an unpinned one.
+        if (
+          existing &&
+          !isExpired(existing, now) &&
+          !(
+            canonicalContent(stored) === canonical &&
+            sameAccess(existing, metadata) &&
+            !existing.revisions &&
+            (existing.pinned || !metadata.pinned)
+          )
+        ) {
+          continue;
+        }
+
+        if (existing && !isExpired(existing, now)) {
+          const referenced = await this.addReference(id, existing, metadata);
+          this.log.info("Reused share", { id });
+          return { id, metadata: referenced, existing: true };
+        }
+
+        // The ID is free, or held by an expired share awaiting the sweep
+        await this.checkQuota(size, options.owner);
+        if (existing) {
+          await this.deleteRevisions(id, existing);
+          this.addUsage(existing, -1);
+        }
+        await this.storage.writeData(id, content);
+        await this.updateIndex(id, metadata);
+        this.addUsage(metadata, 1);
+
+        this.log.info("Created share", { id });
+        return { id, metadata, existing: false };
+      }
+      throw new Error("No free share ID for this content");
     } catch (error) {
-      console.error("Failed to initialize share data store:", error);
+      if (!error.status) {
+        this.log.error("Failed to save share data", { error });
+      }
       throw error;
     }
   }
 
-  async save(content) {
+  // Count another reference to an existing share, extending its lifetime to
+  // cover the new share's. Never pins the share. Returns the updated
+  // metadata, or the metadata read earlier if the index couldn't be updated.
+  async addReference(id, existing, metadata) {
     try {
-      // Generate ID based on content hash
-      let id = generateShortId(content);
+      const updated = await this.storage.updateMeta(id, (current) => {
+        if (!current) {
+          return undefined;
+        }
+        current.refs = (current.refs || 1) + 1;
+        if (current.expires && !current.pinned) {
+          if (!metadata.expires) {
+            delete current.expires;
+          } else if (metadata.expires > current.expires) {
+            current.expires = metadata.expires;
+          }
+        }
+        return current;
+      });
+      return updated || existing;
+    } catch (error) {
+      this.log.warn("Failed to update index", { id, error });
+      // Non-critical, continue anyway
+      return existing;
+    }
+  }
+
+  /**
+   * Resolve share data
+   * @param {string} id - Share ID, without prefix
+   * @param {number} revision - Revision to resolve (default: the latest)
+   * @returns {Promise<{content: string, metadata: Object}>} Share data and metadata (if indexed)
+   */
+  async resolve(id, revision) {
+    try {
+      const metadata = await this.storage.getMeta(id);
+      if (isExpired(metadata)) {
+        throw shareError(`Share ID has expired: ${id}`, 410);
+      }
+      const content = await this.storage.readData(
+        this.revisionKey(id, metadata, revision)
+      );
+      if (content === null) {
+        throw shareError(`Share ID not found: ${id}`, 404);
+      }
+      this.log.debug("Resolved share", { id, revision });
+      return { content, metadata: metadata || {} };
+    } catch (error) {
+      if (!error.status) {
+        this.log.error("Failed to resolve share data", { id, error });
+      }
+      throw error;
+    }
+  }
 
-      // Check for collision (very unlikely but possible)
-      const exists = await this.exists(id);
-      if (exists) {
-        // If collision, append random chars
-        id = id + generateRandomId(4);
+  /**
+   * Store new content for an existing share as its next revision. The share
+   * keeps its ID, and earlier revisions remain available. Revisions of a
+   * share are added one at a time; if another process adds one at the same
+   * time, this fails with a 409 error.
+   * @param {string} id - Share ID, without prefix
+   * @param {string} content - Share data
+   * @returns {Promise<Object>} Updated metadata
+   */
+  async addRevision(id, content) {
+    const previous = this.revising.get(id) || Promise.resolve();
+    const run = previous.then(() => this.storeRevision(id, content));
+    const done = run.catch(() => {});
+    this.revising.set(id, done);
+    done.then(() => {
+      if (this.revising.get(id) === done) {
+        this.revising.delete(id);
       }
+    });
+    return run;
+  }
+
+  async storeRevision(id, content) {
+    const metadata = await this.storage.getMeta(id);
+    const current = await this.storage.readData(id);
+    if (!metadata || isExpired(metadata) || current === null) {
+      throw shareError(`Share ID not found: ${id}`, 404);
+    }
+
+    const size = Buffer.byteLength(content, "utf8");
+    await this.checkQuota(size, metadata.owner);
 
-      // Save data to file
-      const dataFile = path.join(this.dataDir, `${id}.json`);
-      await fs.writeFile(dataFile, content, "utf8");
+    // The latest revision is stored under the share's ID and earlier ones
+    // under `{id}@{revision}`
+    const revisions = this.listRevisions(metadata);
+    const latest = revisions[revisions.length - 1];
+    await this.storage.writeData(`${id}@${latest.revision}`, current);
+    await this.storage.writeData(id, content);
 
-      // Update index
-      await this.updateIndex(id, {
-        created: new Date().toISOString(),
-        size: content.length
+    // Record the revision only if no other process has added one meanwhile
+    const updated = new Date().toISOString();
+    const stored = await this.storage.updateMeta(id, (entry) => {
+      const entryRevisions = entry ? this.listRevisions(entry) : [];
+      const entryLatest = entryRevisions[entryRevisions.length - 1];
+      if (!entryLatest || entryLatest.revision !== latest.revision) {
+        throw shareError(`Share was updated at the same time: ${id}`, 409);
+      }
+      entry.revisions = entryRevisions.concat({
+        revision: latest.revision + 1,
+        created: updated,
+        size
       });
+      entry.size = (entry.size || 0) + size;
+      entry.updated = updated;
+      return entry;
+    });
+    this.addUsage(metadata, -1);
+    this.addUsage(stored, 1);
 
-      console.log(`Share: Created ID ${id}`);
+    this.log.info("Created share revision", {
+      id,
+      revision: latest.revision + 1
+    });
+    return stored;
+  }
+
+  /**
+   * Make an earlier revision of a share the latest, by storing its content
+   * as a new revision
+   * @param {string} id - Share ID, without prefix
+   * @param {number} revision - Revision to restore
+   * @returns {Promise<Object>} Updated metadata
+   */
+  async rollback(id, revision) {
+    const { content } = await this.resolve(id, revision);
+    return this.addRevision(id, content);
+  }
+
+  /**
+   * List the revisions of a share, oldest first. Shares that have never been
+   * updated have a single revision.
+   * @param {Object} metadata - Share metadata
+   * @returns {Object[]} Revision number, creation date and size of each revision
+   */
+  listRevisions(metadata) {
+    return (
+      metadata.revisions || [
+        { revision: 1, created: metadata.created, size: metadata.size }
+      ]
+    );
+  }
+
+  // Storage key holding a revision of a share, throwing 404 if it doesn't exist
+  revisionKey(id, metadata, revision) {
+    if (revision === undefined) {
       return id;
-    } catch (error) {
-      console.error("Failed to save share data:", error);
-      throw error;
     }
+    const revisions = this.listRevisions(metadata || {});
+    if (!revisions.some((r) => r.revision === revision)) {
+      throw shareError(`Share revision not found: ${id}@${revision}`, 404);
+    }
+    return revision === revisions[revisions.length - 1].revision
+      ? id
+      : `${id}@${revision}`;
   }
 
-  async resolve(id) {
-    try {
-      const dataFile = path.join(this.dataDir, `${id}.json`);
-      const content = await fs.readFile(dataFile, "utf8");
-      console.log(`Share: Retrieved ID ${id}`);
-      return content;
-    } catch (error) {
-      if (error.code === "ENOENT") {
-        throw new Error(`Share ID not found: ${id}`);
+  // Delete the stored earlier revisions of a share
+  async deleteRevisions(id, metadata) {
+    const revisions = this.listRevisions(metadata);
+    for (const { revision } of revisions.slice(0, -1)) {
+      await this.storage.deleteData(`${id}@${revision}`);
+    }
+  }
+
+  /**
+   * Count a view of a share. Views are held in memory and written to the
+   * index by `flushAccess`, so resolving a share doesn't wait for a write.
+   * @param {string} id - Share ID, without prefix
+   * @param {string} referrer - URL of the page the share was opened from
+   */
+  recordAccess(id, referrer) {
+    if (!this.trackAccess) {
+      return;
+    }
+    const now = new Date().toISOString();
+    let access = this.pendingAccess.get(id);
+    if (!access) {
+      access = { views: 0, first: now, last: now, referrers: {} };
+      this.pendingAccess.set(id, access);
+    }
+    access.views++;
+    access.last = now;
+    addCount(access.referrers, referrerHost(referrer));
+  }
+
+  /**
+   * Write views recorded since the last flush to the index
+   * @returns {Promise<void>}
+   */
+  async flushAccess() {
+    if (this.pendingAccess.size === 0) {
+      return;
+    }
+    const pending = this.pendingAccess;
+    this.pendingAccess = new Map();
+    for (const [id, access] of pending) {
+      try {
+        // Add the counts to the stored entry, so changes made since the
+        // views were counted aren't lost
+        await this.storage.updateMeta(id, (metadata) => {
+          if (!metadata) {
+            // Deleted since it was viewed
+            return undefined;
+          }
+          metadata.views = (metadata.views || 0) + access.views;
+          metadata.firstAccessed = metadata.firstAccessed || access.first;
+          metadata.lastAccessed = access.last;
+          metadata.referrers = mergeCounts(
+            metadata.referrers,
+            access.referrers
+          );
+          return metadata;
+        });
+      } catch (error) {
+        this.log.warn("Failed to record views", { id, error });
       }
-      console.error("Failed to resolve share data:", error);
-      throw error;
+    }
+  }
+
+  /**
+   * Pin or unpin a share. Pinned shares never expire.
+   * @param {string} id - Share ID, without prefix
+   * @param {boolean} pinned
+   * @returns {Promise<Object>} Updated metadata
+   */
+  async setPinned(id, pinned) {
+    return this.storage.updateMeta(id, (metadata) => {
+      if (!metadata) {
+        throw shareError(`Share ID not found: ${id}`, 404);
+      }
+      if (pinned) {
+        metadata.pinned = true;
+      } else {
+        delete metadata.pinned;
+      }
+      return metadata;
+    });
+  }
+
+  /**
+   * Update a share's title, description and visibility
+   * @param {string} id - Share ID, without prefix
+   * @param {Object} changes
+   * @param {string} changes.title
+   * @param {string} changes.description
+   * @param {Object} changes.visibility - Visibility metadata from `parseVisibility`
+   * @returns {Promise<Object>} Updated metadata
+   */
+  async update(id, changes) {
+    return this.storage.updateMeta(id, (metadata) => {
+      if (!metadata || isExpired(metadata)) {
+        throw shareError(`Share ID not found: ${id}`, 404);
+      }
+      for (const key of ["title", "description"]) {
+        if (changes[key] !== undefined) {
+          metadata[key] = changes[key];
+        }
+      }
+      if (changes.visibility) {
+        delete metadata.allowedUsers;
+        delete metadata.allowedGroups;
+        Object.assign(metadata, changes.visibility);
+        if (metadata.visibility === "public") {
+          delete metadata.visibility;
+        }
+      }
+      return metadata;
+    });
+  }
+
+  /**
+   * Remove a reference to a share, deleting its data and metadata with the
+   * last reference
+   * @param {string} id - Share ID, without prefix
+   * @returns {Promise<boolean>} Whether the share existed
+   */
+  async remove(id) {
+    let released = false;
+    const metadata = await this.storage.updateMeta(id, (current) => {
+      if (!current || !(current.refs > 1)) {
+        return undefined;
+      }
+      current.refs--;
+      released = true;
+      return current;
+    });
+    if (released) {
+      this.log.info("Removed share reference", { id, refs: metadata.refs });
+      return true;
+    }
+
+    if (metadata) {
+      await this.deleteRevisions(id, metadata);
+      this.addUsage(metadata, -1);
+    }
+    const deletedData = await this.storage.deleteData(id);
+    const deletedMeta = await this.storage.deleteMeta(id);
+    if (deletedData || deletedMeta) {
+      this.log.info("Deleted share", { id });
+    }
+    return deletedData || deletedMeta;
+  }
+
+  /**
+   * Get the metadata of a share
+   * @param {string} id - Share ID, without prefix
+   * @returns {Promise<Object|null>} Metadata, or null if the share isn't indexed
+   */
+  async getMetadata(id) {
+    return this.storage.getMeta(id);
+  }
+
+  /**
+   * List the unexpired shares created by a user
+   * @param {string} owner - User ID (JWT `sub`)
+   * @returns {Promise<Object>} Metadata keyed by share ID
+   */
+  async listOwnedBy(owner) {
+    const entries = await this.storage.listMeta();
+    const now = Date.now();
+    const owned = {};
+    for (const [id, metadata] of Object.entries(entries)) {
+      if (metadata.owner === owner && !isExpired(metadata, now)) {
+        owned[id] = metadata;
+      }
+    }
+    return owned;
+  }
+
+  /**
+   * Delete expired shares and prune them from the index
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Only report what would be deleted
+   * @returns {Promise<string[]>} IDs of expired shares
+   */
+  async sweep(options = {}) {
+    const entries = await this.storage.listMeta();
+    const now = Date.now();
+    const expired = Object.keys(entries).filter((id) =>
+      isExpired(entries[id], now)
+    );
+
+    if (!options.dryRun) {
+      for (const id of expired) {
+        await this.deleteRevisions(id, entries[id]);
+        await this.storage.deleteData(id);
+        await this.storage.deleteMeta(id);
+      }
+      if (expired.length > 0) {
+        this.log.info("Deleted expired shares", { count: expired.length });
+      }
+      // Recount usage from the index on next save
+      this.usage = null;
+    }
+    return expired;
+  }
+
+  /**
+   * Throw 403 if saving would exceed the owner's quota, or 507 if it would
+   * exceed the store's total quota
+   * @param {number} size - Bytes about to be stored
+   * @param {string} owner - User ID of the share's creator, if logged in
+   */
+  async checkQuota(size, owner) {
+    if (this.userQuota === undefined && this.totalQuota === undefined) {
+      return;
+    }
+    if (!this.usage) {
+      const entries = await this.storage.listMeta();
+      this.usage = { total: 0, byOwner: new Map() };
+      for (const metadata of Object.values(entries)) {
+        this.addUsage(metadata, 1);
+      }
+    }
+    if (
+      owner &&
+      this.userQuota !== undefined &&
+      (this.usage.byOwner.get(owner) || 0) + size > this.userQuota
+    ) {
+      throw shareError("Your share storage quota has been exceeded", 403);
+    }
+    if (
+      this.totalQuota !== undefined &&
+      this.usage.total + size > this.totalQuota
+    ) {
+      throw shareError("Share storage is full", 507);
+    }
+  }
+
+  // Add (sign = 1) or remove (sign = -1) a share from the usage counts
+  addUsage(metadata, sign) {
+    if (!this.usage) {
+      return;
+    }
+    const size = (metadata.size || 0) * sign;
+    this.usage.total += size;
+    if (metadata.owner) {
+      this.usage.byOwner.set(
+        metadata.owner,
+        (this.usage.byOwner.get(metadata.owner) || 0) + size
+      );
     }
   }
 
   async exists(id) {
     try {
-      const dataFile = path.join(this.dataDir, `${id}.json`);
-      await fs.access(dataFile);
-      return true;
+      return await this.storage.hasData(id);
     } catch {
       return false;
     }
@@ -111,23 +883,19 @@ class ShareDataStore {
 
   async updateIndex(id, metadata) {
     try {
-      const indexContent = await fs.readFile(this.indexFile, "utf8");
-      const index = JSON.parse(indexContent);
-      index[id] = metadata;
-      await fs.writeFile(this.indexFile, JSON.stringify(index, null, 2));
+      await this.storage.setMeta(id, metadata);
     } catch (error) {
-      console.warn("Failed to update index:", error);
+      this.log.warn("Failed to update index", { id, error });
       // Non-critical, continue anyway
     }
   }
 
   async getStats() {
     try {
-      const indexContent = await fs.readFile(this.indexFile, "utf8");
-      const index = JSON.parse(indexContent);
+      const entries = await this.storage.listMeta();
       return {
-        count: Object.keys(index).length,
-        entries: index
+        count: Object.keys(entries).length,
+        entries
       };
     } catch {
       return { count: 0, entries: {} };
@@ -135,50 +903,397 @@ class ShareDataStore {
   }
 }
 
+/**
+ * Create a share data store for every configured share URL prefix
+ * @param {Object} options - See `createShareRouter`
+ * @returns {Map<string, ShareDataStore>} Stores keyed by prefix
+ */
+function createShareStores(options = {}) {
+  const storageDir =
+    options.storageDir || path.join(__dirname, "..", "..", "sharedata");
+  const expiry = options.shareExpiry || {};
+  const limits = options.shareLimits || {};
+  const policy = {
+    defaultTtl: parseDuration(expiry.defaultTtl),
+    maxTtl: parseDuration(expiry.maxTtl),
+    userQuota: parseSize(limits.userQuota),
+    totalQuota: parseSize(limits.totalQuota),
+    ...parseIdSettings(options.shareIds),
+    trackAccess: !(
+      options.shareAnalytics && options.shareAnalytics.enabled === false
+    )
+  };
+  const shareUrlPrefixes = options.shareUrlPrefixes || {
+    [options.prefix || "local"]: { service: "file" }
+  };
+
+  const stores = new Map();
+  for (const [prefix, config] of Object.entries(shareUrlPrefixes)) {
+    try {
+      const storage = createStorage(config, {
+        storageDir,
+        rootDir: options.rootDir
+      });
+      stores.set(prefix, new ShareDataStore(storage, { ...policy, prefix }));
+    } catch (error) {
+      log.warn("Skipping prefix", { prefix, reason: error.message });
+    }
+  }
+  return stores;
+}
+
 /**
  * Create the share router
  * @param {Object} options - Configuration options
- * @param {string} options.storageDir - Directory to store share data
- * @param {string} options.prefix - URL prefix for share links (default: 'local')
+ * @param {string} options.storageDir - Default directory to store share data
+ * @param {string} options.rootDir - Directory relative storage paths are resolved against
+ * @param {Object} options.shareUrlPrefixes - Storage backend config for each share prefix, as in serverconfig.json
+ * @param {string} options.newShareUrlPrefix - Prefix used for new shares (default: first configured prefix)
+ * @param {string} options.prefix - Prefix to use when `shareUrlPrefixes` isn't given (default: 'local')
  * @param {string} options.maxRequestSize - Max size for share data (default: '200kb')
+ * @param {Object} options.shareExpiry - Expiry policy, durations in seconds or strings like '30d'
+ * @param {number|string} options.shareExpiry.defaultTtl - TTL for shares created without one (default: never expire)
+ * @param {number|string} options.shareExpiry.maxTtl - Upper limit for requested TTLs (default: no limit)
+ * @param {number|string} options.shareExpiry.sweepInterval - How often to delete expired shares (default: never)
+ * @param {Object} options.shareLimits - Abuse protection for share creation
+ * @param {number|string} options.shareLimits.window - Rate limit window (default: '15m')
+ * @param {number} options.shareLimits.perIp - Shares an anonymous client IP may create per window (default: no limit)
+ * @param {number} options.shareLimits.perUser - Shares a logged in user may create per window (default: no limit)
+ * @param {number|string} options.shareLimits.userQuota - Storage each user may use, e.g. '20mb' (default: no limit)
+ * @param {number|string} options.shareLimits.totalQuota - Storage each prefix may use, e.g. '2gb' (default: no limit)
+ * @param {Object} options.shareIds - Share ID format
+ * @param {number} options.shareIds.length - Minimum ID length (default: 8)
+ * @param {string} options.shareIds.alphabet - Characters IDs are written in (default: lowercase hex)
+ * @param {Object} options.shareAnalytics - View tracking
+ * @param {boolean} options.shareAnalytics.enabled - Record view counts, access times and referrers (default: true)
+ * @param {number|string} options.shareAnalytics.flushInterval - How often recorded views are written (default: '30s')
  * @param {number} options.port - Server port (for generating full URLs)
+ * @param {Object} options.auth - Authentication middleware created by `createAuth`
+ * @param {Object} [options.serverConfig] - Client configuration created by `createServerConfig`, to register with
+ * @param {Object} [options.metrics] - Registry created by `createMetrics`
+ * @param {Object} [options.health] - Health endpoints created by `createHealth`, to add a readiness check to
  * @returns {express.Router} Express router
  */
 module.exports = function createShareRouter(options = {}) {
-  const storageDir =
-    options.storageDir || path.join(__dirname, "..", "sharedata");
-  const prefix = options.prefix || "local";
   const maxRequestSize = options.maxRequestSize || "200kb";
   const port = options.port || 3001;
+  const auth = options.auth || createAuth();
+  const metrics = options.metrics || createMetrics();
+  const limits = options.shareLimits || {};
+  const rateLimitWindow = parseDuration(limits.window) || 15 * 60;
 
-  const store = new ShareDataStore(storageDir);
+  const stores = createShareStores(options);
+  const newShareUrlPrefix =
+    options.newShareUrlPrefix && stores.has(options.newShareUrlPrefix)
+      ? options.newShareUrlPrefix
+      : stores.keys().next().value;
 
-  // Initialize store
-  store.init().catch((error) => {
-    console.error("Failed to initialize share data store:", error);
-  });
+  // Initialize stores, retrying those that fail so that a backend that
+  // comes up later is used without a restart. Until then requests for their
+  // prefix are answered with 503.
+  const initStore = (prefix, store, delay) => {
+    store.init().catch((error) => {
+      log.error("Failed to initialize share data store", {
+        prefix,
+        retryIn: delay,
+        error
+      });
+      setTimeout(
+        () =>
+          initStore(prefix, store, Math.min(delay * 2, INIT_RETRY_MAX_DELAY)),
+        delay * 1000
+      ).unref();
+    });
+  };
+  for (const [prefix, store] of stores) {
+    initStore(prefix, store, INIT_RETRY_DELAY);
+  }
+
+  // Ready once every store is initialised and writable. Without stores the
+  // map still works, just without share links.
+  if (options.health) {
+    options.health.addCheck("share", async () => {
+      for (const [prefix, store] of stores) {
+        try {
+          await store.checkWritable();
+        } catch (error) {
+          throw new Error(`Prefix "${prefix}": ${error.message}`);
+        }
+      }
+    });
+  }
+
+  const createdShares = metrics.counter(
+    "share_creates_total",
+    "Share links created, by prefix",
+    ["prefix"]
+  );
+  const resolvedShares = metrics.counter(
+    "share_resolves_total",
+    "Share links resolved, by prefix",
+    ["prefix"]
+  );
+  const shareErrors = metrics.counter(
+    "share_errors_total",
+    "Failed share link creates and resolves, by operation and status",
+    ["operation", "status"]
+  );
+
+  // Listing a store can be slow, so count its shares at most once a minute
+  let storageStats;
+  let storageStatsTime = 0;
+  const collectStorageStats = async () => {
+    if (
+      !storageStats ||
+      Date.now() - storageStatsTime > STORAGE_METRICS_INTERVAL * 1000
+    ) {
+      storageStatsTime = Date.now();
+      storageStats = new Map();
+      for (const [prefix, store] of stores) {
+        if (!store.ready) {
+          continue;
+        }
+        const { count, entries } = await store.getStats();
+        const size = Object.values(entries).reduce(
+          (total, metadata) => total + (metadata.size || 0),
+          0
+        );
+        storageStats.set(prefix, { count, size });
+      }
+    }
+    return storageStats;
+  };
+  metrics.gauge(
+    "share_storage_shares",
+    "Shares stored, by prefix",
+    ["prefix"],
+    async (gauge) => {
+      for (const [prefix, stats] of await collectStorageStats()) {
+        gauge.set({ prefix }, stats.count);
+      }
+    }
+  );
+  metrics.gauge(
+    "share_storage_bytes",
+    "Bytes of share data stored, by prefix",
+    ["prefix"],
+    async (gauge) => {
+      for (const [prefix, stats] of await collectStorageStats()) {
+        gauge.set({ prefix }, stats.size);
+      }
+    }
+  );
+
+  // Periodically delete expired shares
+  const sweepInterval = parseDuration(
+    options.shareExpiry && options.shareExpiry.sweepInterval
+  );
+  if (sweepInterval) {
+    const timer = setInterval(async () => {
+      for (const [prefix, store] of stores) {
+        if (!store.ready) {
+          continue;
+        }
+        try {
+          await store.sweep();
+        } catch (error) {
+          log.error("Sweep failed", { prefix, error });
+        }
+      }
+    }, sweepInterval * 1000);
+    timer.unref();
+  }
+
+  // Write recorded views in batches
+  const flushInterval =
+    parseDuration(
+      options.shareAnalytics && options.shareAnalytics.flushInterval
+    ) || 30;
+  const flushTimer = setInterval(() => {
+    for (const store of stores.values()) {
+      store.flushAccess();
+    }
+  }, flushInterval * 1000);
+  flushTimer.unref();
+
+  // Write views recorded so far, so admin routes see up to date counts
+  const flushAllAccess = () =>
+    Promise.all(Array.from(stores.values(), (store) => store.flushAccess()));
+
+  // Split a full share ID into its prefix and store, once the store is
+  // initialised. IDs without a known prefix are looked up in the store for
+  // new shares.
+  const parseShareId = async (fullId) => {
+    const match = /^([^-]+)-(.+)$/.exec(fullId);
+    const parsed =
+      match && stores.has(match[1])
+        ? { prefix: match[1], id: match[2], store: stores.get(match[1]) }
+        : {
+            prefix: newShareUrlPrefix,
+            id: fullId,
+            store: stores.get(newShareUrlPrefix)
+          };
+    if (parsed.store) {
+      await parsed.store.whenReady();
+    }
+    return parsed;
+  };
+
+  // Find a share that the current user owns, throwing 404 or 403 otherwise
+  const findOwnedShare = async (req) => {
+    const { prefix, id, store } = await parseShareId(req.params.id);
+    const metadata =
+      store && SHARE_ID_PATTERN.test(id) ? await store.getMetadata(id) : null;
+    if (!metadata || isExpired(metadata)) {
+      throw shareError(`Share ID not found: ${req.params.id}`, 404);
+    }
+    if (metadata.owner !== req.user.sub) {
+      throw shareError("Only the owner of a share can change it", 403);
+    }
+    return { prefix, id, store, metadata };
+  };
+
+  // Respond with the status carried by a share error, or 500. The messages
+  // of other errors aren't sent, as they may describe the server.
+  const sendError = (res, error, message) => {
+    if (error.status) {
+      return sendProblem(res, error.status, error.message, error.details);
+    }
+    log.forRequest(res.req).error(message, { error });
+    sendProblem(res, 500, message);
+  };
+
+  // Parse share data from a request body. Only well-formed Terria share data
+  // is stored, without embedded credentials.
+  const readShareData = (req) => {
+    if (typeof req.body !== "string" || !req.body) {
+      throw shareError("Request body is required", 400);
+    }
+    let shareData;
+    try {
+      shareData = JSON.parse(req.body);
+    } catch (error) {
+      throw shareError("Share data must be valid JSON", 400, {
+        error: error.message
+      });
+    }
+    const errors = validateShareData(shareData);
+    if (errors.length > 0) {
+      throw shareError("Invalid share data", 400, { errors });
+    }
+    const { data, removed } = sanitizeShareData(shareData);
+    if (removed.length > 0) {
+      log
+        .forRequest(req)
+        .warn("Removed credentials from share data", { fields: removed });
+    }
+    return data;
+  };
+
+  // Split `{id}@{revision}` into the share ID and revision number
+  const parseRevision = (param) => {
+    const match = /^(.+)@(\d+)$/.exec(param);
+    return match
+      ? { fullId: match[1], revision: parseInt(match[2], 10) }
+      : { fullId: param, revision: undefined };
+  };
 
   const router = express.Router();
 
-  // Parse request body as text
+  // Tell clients which share prefixes there are, in /serverconfig
+  if (options.serverConfig) {
+    options.serverConfig.register("share", {
+      newShareUrlPrefix,
+      shareUrlPrefixes: Object.fromEntries(
+        Array.from(stores, ([prefix, store]) => [
+          prefix,
+          store.storage.describe()
+        ])
+      )
+    });
+  }
+
+  // Request bodies are JSON, parsed as text so share data can be checked
+  // before it's stored. Other types are refused, which also keeps HTML forms
+  // on other sites, that can only send form data and text, off the API.
   router.use(
     bodyParser.text({
-      type: "*/*",
+      type: "application/json",
       limit: maxRequestSize
     })
   );
+  router.use((req, res, next) => {
+    if (req.is("application/json") === false) {
+      return sendProblem(res, 415, "Request body must be application/json");
+    }
+    next();
+  });
+
+  // Identify the logged in user (if any) from their access token
+  router.use(auth.authenticate);
+
+  // Limit how often anonymous clients (by IP, which honours the app's
+  // "trust proxy" setting) and logged in users can create shares
+  const limitAnonymous = createRateLimiter({
+    window: rateLimitWindow,
+    max: limits.perIp,
+    key: (req) => (req.user ? undefined : req.ip),
+    message: "Too many share links created, please try again later"
+  });
+  const limitUsers = createRateLimiter({
+    window: rateLimitWindow,
+    max: limits.perUser,
+    key: (req) => (req.user ? req.user.sub : undefined),
+    message: "Too many share links created, please try again later"
+  });
 
   // POST /share - Create a new share
-  router.post("/", async (req, res) => {
+  router.post("/", limitAnonymous, limitUsers, async (req, res) => {
     try {
-      if (!req.body) {
-        return res.status(400).json({
-          message: "Request body is required"
-        });
+      const data = readShareData(req);
+
+      const store = stores.get(newShareUrlPrefix);
+      if (!store) {
+        return sendProblem(res, 503, "No share storage is configured");
       }
+      await store.whenReady();
 
-      const id = await store.save(req.body);
-      const fullId = `${prefix}-${id}`;
+      const ttl = parseDuration(req.query.ttl);
+      if (req.query.ttl !== undefined && ttl === undefined) {
+        return sendProblem(
+          res,
+          400,
+          "Invalid ttl, expected seconds or a duration such as '30d'"
+        );
+      }
+
+      const visibility = parseVisibility({
+        visibility: req.query.visibility,
+        allowedUsers: splitList(req.query.users),
+        allowedGroups: splitList(req.query.groups)
+      });
+      if (visibility.visibility !== "public" && !req.user) {
+        throw shareError("Login required to create a private share", 401);
+      }
+      // Pinned shares never expire, so only admins may create them
+      const pinned = req.query.pinned === "true";
+      if (pinned && !auth.isAdmin(req)) {
+        throw shareError("Only admins can create pinned shares", 403);
+      }
+
+      const { id, metadata, existing } = await store.save(
+        JSON.stringify(data),
+        {
+          ttl,
+          pinned,
+          owner: req.user ? req.user.sub : undefined,
+          visibility
+        }
+      );
+      if (!existing) {
+        createdShares.inc({ prefix: newShareUrlPrefix });
+      }
+      const fullId = `${newShareUrlPrefix}-${id}`;
       const resPath = `${req.baseUrl}/${fullId}`;
 
       // Construct full URL
@@ -190,64 +1305,483 @@ module.exports = function createShareRouter(options = {}) {
         (port && port !== 80 && port !== 443 ? `:${port}` : "");
       const resUrl = `${protocol}://${hostname}${portPart}${resPath}`;
 
-      res.location(resUrl).status(201).json({
-        id: fullId,
-        path: resPath,
-        url: resUrl
-      });
+      res
+        .location(resUrl)
+        .status(existing ? 200 : 201)
+        .json({
+          id: fullId,
+          path: resPath,
+          url: resUrl,
+          expires: metadata.expires,
+          visibility: metadata.visibility || "public"
+        });
     } catch (error) {
-      console.error("Share creation error:", error);
-      res.status(500).json({
-        message: "Failed to create share link",
-        error: error.message
-      });
+      shareErrors.inc({ operation: "create", status: error.status || 500 });
+      sendError(res, error, "Failed to create share link");
     }
   });
 
-  // GET /share/:id - Resolve a share by ID
+  // GET /share/mine - List the current user's shares
+  router.get("/mine", auth.requireUser, async (req, res) => {
+    try {
+      const shares = [];
+      for (const [prefix, store] of stores) {
+        await store.whenReady();
+        const owned = await store.listOwnedBy(req.user.sub);
+        for (const [id, metadata] of Object.entries(owned)) {
+          const fullId = `${prefix}-${id}`;
+          shares.push({
+            id: fullId,
+            path: `${req.baseUrl}/${fullId}`,
+            title: metadata.title,
+            description: metadata.description,
+            created: metadata.created,
+            expires: metadata.expires,
+            visibility: metadata.visibility || "public",
+            revision: store.listRevisions(metadata).length
+          });
+        }
+      }
+      shares.sort((a, b) => (a.created < b.created ? 1 : -1));
+      res.json({ count: shares.length, shares });
+    } catch (error) {
+      sendError(res, error, "Failed to list shares");
+    }
+  });
+
+  // GET /share/:id - Resolve the latest revision of a share
+  // GET /share/:id@3 - Resolve a specific revision
   router.get("/:id", async (req, res) => {
     try {
-      const fullId = req.params.id;
+      const { fullId, revision } = parseRevision(req.params.id);
+      const { prefix, id, store } = await parseShareId(fullId);
+
+      if (!store || !SHARE_ID_PATTERN.test(id)) {
+        throw shareError(`Share ID not found: ${req.params.id}`, 404);
+      }
 
-      // Strip prefix if present
-      const prefixPattern = new RegExp(`^${prefix}-`);
-      const id = fullId.replace(prefixPattern, "");
+      const { content, metadata } = await store.resolve(id, revision);
+      checkVisibility(metadata, req.user);
 
-      const content = await store.resolve(id);
+      // The client sends the page the share link was opened from, since the
+      // Referer of its own request is the map itself
+      store.recordAccess(
+        id,
+        req.get("X-Share-Referrer") !== undefined
+          ? req.get("X-Share-Referrer")
+          : req.get("Referer")
+      );
+
+      // Cache public shares for 1 year, or until the share expires.
+      // Private shares must be re-checked on every request, and the latest
+      // revision of an owned share revalidated since its owner can update it.
+      let cacheControl = "private, no-store";
+      if (
+        (metadata.visibility || "public") === "public" &&
+        metadata.owner &&
+        revision === undefined
+      ) {
+        cacheControl = "public, no-cache";
+      } else if ((metadata.visibility || "public") === "public") {
+        let maxAge = 31536000;
+        if (metadata.expires && !metadata.pinned) {
+          const remaining = Math.floor(
+            (Date.parse(metadata.expires) - Date.now()) / 1000
+          );
+          maxAge = Math.max(0, Math.min(maxAge, remaining));
+        }
+        cacheControl = `public, max-age=${maxAge}`;
+      }
 
       // Set appropriate headers
       res.setHeader("Content-Type", "application/json");
-      res.setHeader("Cache-Control", "public, max-age=31536000"); // Cache for 1 year
+      res.setHeader("Cache-Control", cacheControl);
       res.send(content);
+      resolvedShares.inc({ prefix });
     } catch (error) {
-      console.error("Share resolution error:", error);
+      if (!error.status || error.status >= 500) {
+        log.forRequest(req).error("Failed to resolve share", { error });
+      } else {
+        log
+          .forRequest(req)
+          .info("Share not resolved", { reason: error.message });
+      }
+      shareErrors.inc({ operation: "resolve", status: error.status || 500 });
 
-      if (error.message.includes("not found")) {
-        res.status(404).json({
-          message: "Share link not found",
-          error: error.message
-        });
+      if (error.status === 404) {
+        sendProblem(res, 404, "Share link not found");
+      } else if (error.status === 410) {
+        sendProblem(res, 410, "Share link has expired");
+      } else if (error.status === 401) {
+        res.setHeader("WWW-Authenticate", "Bearer");
+        sendProblem(res, 401, error.message);
+      } else if (error.status) {
+        sendProblem(res, error.status, error.message);
       } else {
-        res.status(500).json({
-          message: "Failed to resolve share link",
-          error: error.message
-        });
+        sendProblem(res, 500, "Failed to resolve share link");
+      }
+    }
+  });
+
+  // GET /share/:id/revisions - List the revisions of a share
+  router.get("/:id/revisions", async (req, res) => {
+    try {
+      const { prefix, id, store } = await parseShareId(req.params.id);
+      const metadata =
+        store && SHARE_ID_PATTERN.test(id) ? await store.getMetadata(id) : null;
+      if (!metadata || isExpired(metadata)) {
+        throw shareError(`Share ID not found: ${req.params.id}`, 404);
+      }
+      checkVisibility(metadata, req.user);
+
+      const fullId = `${prefix}-${id}`;
+      const revisions = store.listRevisions(metadata);
+      res.setHeader("Cache-Control", "private, no-cache");
+      res.json({
+        id: fullId,
+        revision: revisions[revisions.length - 1].revision,
+        revisions: revisions.map((r) => ({
+          ...r,
+          path: `${req.baseUrl}/${fullId}@${r.revision}`
+        }))
+      });
+    } catch (error) {
+      if (error.status === 401) {
+        res.setHeader("WWW-Authenticate", "Bearer");
       }
+      sendError(res, error, "Failed to list share revisions");
+    }
+  });
+
+  // Describe the latest revision of a share after it changes
+  const sendRevision = (req, res, prefix, id, metadata) => {
+    const fullId = `${prefix}-${id}`;
+    const revisions = metadata.revisions;
+    const revision = revisions[revisions.length - 1].revision;
+    res.json({
+      id: fullId,
+      revision,
+      path: `${req.baseUrl}/${fullId}`,
+      revisionPath: `${req.baseUrl}/${fullId}@${revision}`,
+      updated: metadata.updated
+    });
+  };
+
+  // PUT /share/:id - Replace the content of one of the current user's shares
+  // with a new revision, keeping its link
+  router.put("/:id", auth.requireUser, async (req, res) => {
+    try {
+      const data = readShareData(req);
+      const { prefix, id, store } = await findOwnedShare(req);
+      const metadata = await store.addRevision(id, JSON.stringify(data));
+      sendRevision(req, res, prefix, id, metadata);
+    } catch (error) {
+      sendError(res, error, "Failed to update share");
+    }
+  });
+
+  // POST /share/:id/rollback - Restore an earlier revision of one of the
+  // current user's shares as its latest revision
+  //   Body: {"revision": 2}
+  router.post("/:id/rollback", auth.requireUser, async (req, res) => {
+    try {
+      let revision;
+      try {
+        revision = JSON.parse(req.body || "{}").revision;
+      } catch {
+        throw shareError("Request body must be JSON", 400);
+      }
+      if (!Number.isInteger(revision) || revision < 1) {
+        throw shareError("revision must be a revision number", 400);
+      }
+      const { prefix, id, store } = await findOwnedShare(req);
+      const metadata = await store.rollback(id, revision);
+      sendRevision(req, res, prefix, id, metadata);
+    } catch (error) {
+      sendError(res, error, "Failed to roll back share");
+    }
+  });
+
+  // PATCH /share/:id - Rename, describe or change the visibility of one of the current user's shares
+  router.patch("/:id", auth.requireUser, async (req, res) => {
+    try {
+      let changes;
+      try {
+        changes = JSON.parse(req.body || "{}");
+      } catch {
+        throw shareError("Request body must be JSON", 400);
+      }
+      for (const [key, maxLength] of [
+        ["title", 200],
+        ["description", 2000]
+      ]) {
+        const value = changes[key];
+        if (
+          value !== undefined &&
+          (typeof value !== "string" || value.length > maxLength)
+        ) {
+          throw shareError(
+            `${key} must be a string of at most ${maxLength} characters`,
+            400
+          );
+        }
+      }
+
+      if (changes.visibility !== undefined) {
+        changes.visibility = parseVisibility(changes);
+      }
+
+      const { prefix, id, store } = await findOwnedShare(req);
+      const metadata = await store.update(id, changes);
+      res.json({
+        id: `${prefix}-${id}`,
+        title: metadata.title,
+        description: metadata.description,
+        visibility: metadata.visibility || "public",
+        allowedUsers: metadata.allowedUsers,
+        allowedGroups: metadata.allowedGroups
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to update share");
+    }
+  });
+
+  // DELETE /share/:id - Delete one of the current user's shares
+  router.delete("/:id", auth.requireUser, async (req, res) => {
+    try {
+      const { id, store } = await findOwnedShare(req);
+      await store.remove(id);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, "Failed to delete share");
     }
   });
 
-  // GET /share/stats - Get statistics (optional, for debugging)
+  // Admin routes require the admin role or the configured admin token
+  router.use("/admin", auth.requireAdmin);
+
+  // Metadata of every share, keyed by full ID, optionally for a single prefix
+  const listAllShares = async (onlyPrefix) => {
+    await flushAllAccess();
+    const shares = [];
+    for (const [prefix, store] of stores) {
+      if (onlyPrefix && prefix !== onlyPrefix) {
+        continue;
+      }
+      await store.whenReady();
+      const { entries } = await store.getStats();
+      for (const [id, metadata] of Object.entries(entries)) {
+        shares.push({ id: `${prefix}-${id}`, prefix, ...metadata });
+      }
+    }
+    return shares;
+  };
+
+  const ADMIN_SORT_FIELDS = {
+    created: (share) => share.created || "",
+    size: (share) => share.size || 0,
+    views: (share) => share.views || 0,
+    lastAccessed: (share) => share.lastAccessed || ""
+  };
+
+  // GET /share/admin/stats - Summary of each prefix's shares
   router.get("/admin/stats", async (req, res) => {
     try {
-      const stats = await store.getStats();
+      await flushAllAccess();
+      const now = Date.now();
+      const stats = { count: 0, size: 0, views: 0, prefixes: {} };
+      const viewed = [];
+      for (const [prefix, store] of stores) {
+        await store.whenReady();
+        const { entries } = await store.getStats();
+        const prefixStats = {
+          ...store.storage.describe(),
+          count: 0,
+          size: 0,
+          pinned: 0,
+          expired: 0,
+          private: 0,
+          references: 0,
+          views: 0
+        };
+        for (const [id, metadata] of Object.entries(entries)) {
+          prefixStats.count++;
+          prefixStats.size += metadata.size || 0;
+          prefixStats.references += metadata.refs || 1;
+          if (metadata.views) {
+            prefixStats.views += metadata.views;
+            viewed.push({
+              id: `${prefix}-${id}`,
+              title: metadata.title,
+              views: metadata.views,
+              lastAccessed: metadata.lastAccessed
+            });
+          }
+          if (metadata.pinned) {
+            prefixStats.pinned++;
+          }
+          if (isExpired(metadata, now)) {
+            prefixStats.expired++;
+          }
+          if ((metadata.visibility || "public") !== "public") {
+            prefixStats.private++;
+          }
+        }
+        stats.count += prefixStats.count;
+        stats.size += prefixStats.size;
+        stats.views += prefixStats.views;
+        stats.prefixes[prefix] = prefixStats;
+      }
+      stats.mostViewed = viewed.sort((a, b) => b.views - a.views).slice(0, 10);
       res.json(stats);
     } catch (error) {
-      res.status(500).json({
-        message: "Failed to get stats",
-        error: error.message
+      sendError(res, error, "Failed to get stats");
+    }
+  });
+
+  // GET /share/admin/shares - Search, sort and page through shares
+  //   ?q=<ID prefix>&owner=<sub>&prefix=<share prefix>
+  //   &sort=created|size|views|lastAccessed&order=asc|desc&page=1&pageSize=50
+  router.get("/admin/shares", async (req, res) => {
+    try {
+      const sort = req.query.sort || "created";
+      if (!ADMIN_SORT_FIELDS[sort]) {
+        throw shareError(
+          `sort must be one of: ${Object.keys(ADMIN_SORT_FIELDS).join(", ")}`,
+          400
+        );
+      }
+      const order = req.query.order === "asc" ? 1 : -1;
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const pageSize = Math.min(
+        500,
+        Math.max(1, parseInt(req.query.pageSize, 10) || 50)
+      );
+
+      let shares = await listAllShares(req.query.prefix);
+      if (req.query.q) {
+        const q = String(req.query.q);
+        shares = shares.filter(
+          (share) =>
+            share.id.startsWith(q) ||
+            share.id.slice(share.prefix.length + 1).startsWith(q)
+        );
+      }
+      if (req.query.owner) {
+        shares = shares.filter((share) => share.owner === req.query.owner);
+      }
+
+      const key = ADMIN_SORT_FIELDS[sort];
+      shares.sort((a, b) =>
+        key(a) < key(b) ? -order : key(a) > key(b) ? order : 0
+      );
+
+      res.json({
+        total: shares.length,
+        page,
+        pageSize,
+        pages: Math.ceil(shares.length / pageSize),
+        shares: shares.slice((page - 1) * pageSize, page * pageSize)
       });
+    } catch (error) {
+      sendError(res, error, "Failed to list shares");
+    }
+  });
+
+  // POST /share/admin/shares/delete - Delete shares in bulk
+  //   Body: {"ids": ["l-abc123", ...]}
+  router.post("/admin/shares/delete", async (req, res) => {
+    try {
+      let ids;
+      try {
+        ids = JSON.parse(req.body || "{}").ids;
+      } catch {
+        throw shareError("Request body must be JSON", 400);
+      }
+      if (!Array.isArray(ids) || ids.some((id) => typeof id !== "string")) {
+        throw shareError("ids must be an array of share IDs", 400);
+      }
+
+      const deleted = [];
+      const notFound = [];
+      for (const fullId of ids) {
+        const { id, store } = await parseShareId(fullId);
+        if (store && SHARE_ID_PATTERN.test(id) && (await store.remove(id))) {
+          deleted.push(fullId);
+        } else {
+          notFound.push(fullId);
+        }
+      }
+      log.forRequest(req).info("Admin deleted shares", { deleted });
+      res.json({ deleted, notFound });
+    } catch (error) {
+      sendError(res, error, "Failed to delete shares");
+    }
+  });
+
+  // GET /share/admin/export - Download the index of every share as JSON, or
+  // with ?format=csv a spreadsheet of each share's views
+  router.get("/admin/export", async (req, res) => {
+    try {
+      const shares = await listAllShares(req.query.prefix);
+      const date = new Date().toISOString().slice(0, 10);
+
+      if (req.query.format === "csv") {
+        const rows = [CSV_COLUMNS.join(",")];
+        for (const share of shares) {
+          const referrers = Object.entries(share.referrers || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([host, count]) => `${host}:${count}`)
+            .join(" ");
+          rows.push(
+            [
+              share.id,
+              share.title,
+              share.owner,
+              share.visibility || "public",
+              share.created,
+              share.expires,
+              share.size,
+              share.views || 0,
+              share.firstAccessed,
+              share.lastAccessed,
+              referrers
+            ]
+              .map(csvField)
+              .join(",")
+          );
+        }
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="share-analytics-${date}.csv"`
+        );
+        res.type("text/csv").send(rows.join("\r\n") + "\r\n");
+        return;
+      }
+
+      const index = {};
+      for (const share of shares) {
+        const metadata = { ...share };
+        delete metadata.id;
+        delete metadata.prefix;
+        index[share.id] = metadata;
+      }
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="share-index-${date}.json"`
+      );
+      res.json({
+        exported: new Date().toISOString(),
+        count: shares.length,
+        shares: index
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to export shares");
     }
   });
 
   return router;
 };
+
+module.exports.ShareDataStore = ShareDataStore;
+module.exports.createShareStores = createShareStores;
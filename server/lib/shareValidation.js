@@ -0,0 +1,153 @@
+/* jshint node: true */
+"use strict";
+
+/**
+ * Validation and sanitisation of Terria share data
+ * Share data is checked against the shape TerriaJS v8 writes
+ * (`{ version, initSources: [...] }`) and stripped of embedded credentials
+ * before it is stored, because anyone with the link can read it back.
+ */
+
+// Deeper nesting than this is not something TerriaJS produces
+const MAX_DEPTH = 64;
+
+// Object keys whose values are credentials
+const CREDENTIAL_KEYS = new Set([
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "accesstoken",
+  "access_token",
+  "idtoken",
+  "id_token",
+  "refreshtoken",
+  "refresh_token",
+  "password",
+  "clientsecret",
+  "client_secret"
+]);
+
+// URL query parameters whose values are credentials
+const CREDENTIAL_PARAMS = new Set([
+  "access_token",
+  "id_token",
+  "token",
+  "api_key",
+  "apikey",
+  "key",
+  "password",
+  "client_secret"
+]);
+
+/**
+ * Validate parsed share data
+ * @param {*} data - Parsed share data
+ * @returns {string[]} Validation errors, empty if the data is valid
+ */
+function validateShareData(data) {
+  const errors = [];
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    return ["Share data must be a JSON object"];
+  }
+  if (typeof data.version !== "string" || !/^\d+\./.test(data.version)) {
+    errors.push('"version" must be a version string such as "8.0.0"');
+  }
+  if (!Array.isArray(data.initSources)) {
+    errors.push('"initSources" must be an array');
+  } else {
+    data.initSources.forEach((source, i) => {
+      const isObject =
+        typeof source === "object" && source !== null && !Array.isArray(source);
+      if (!isObject && typeof source !== "string") {
+        errors.push(`"initSources[${i}]" must be an object or a URL string`);
+      }
+    });
+  }
+  if (depth(data) > MAX_DEPTH) {
+    errors.push(`Share data must not be nested deeper than ${MAX_DEPTH}`);
+  }
+  return errors;
+}
+
+// Nesting depth of a JSON value, stopping once it passes MAX_DEPTH
+function depth(value, level = 0) {
+  if (level > MAX_DEPTH || typeof value !== "object" || value === null) {
+    return level;
+  }
+  let max = level;
+  for (const child of Object.values(value)) {
+    max = Math.max(max, depth(child, level + 1));
+    if (max > MAX_DEPTH) {
+      break;
+    }
+  }
+  return max;
+}
+
+// Remove credentials from a URL string, returning the string unchanged if it
+// isn't an absolute URL or contains none
+function sanitizeUrl(value, removed) {
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return value;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return value;
+  }
+
+  let changed = false;
+  if (url.username || url.password) {
+    url.username = "";
+    url.password = "";
+    removed.push("URL user info");
+    changed = true;
+  }
+  for (const name of Array.from(url.searchParams.keys())) {
+    if (CREDENTIAL_PARAMS.has(name.toLowerCase())) {
+      url.searchParams.delete(name);
+      removed.push(`URL parameter "${name}"`);
+      changed = true;
+    }
+  }
+  return changed ? url.toString() : value;
+}
+
+/**
+ * Strip embedded credentials from share data: credential-like keys (such as
+ * `Authorization` headers and tokens), and user info and token parameters in URLs
+ * @param {*} data - Parsed share data
+ * @returns {{data: *, removed: string[]}} Sanitised copy and a description of what was removed
+ */
+function sanitizeShareData(data) {
+  const removed = [];
+
+  const sanitize = (value) => {
+    if (typeof value === "string") {
+      return sanitizeUrl(value, removed);
+    }
+    if (Array.isArray(value)) {
+      return value.map(sanitize);
+    }
+    if (typeof value === "object" && value !== null) {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        if (CREDENTIAL_KEYS.has(key.toLowerCase())) {
+          removed.push(`"${key}"`);
+          continue;
+        }
+        result[key] = sanitize(child);
+      }
+      return result;
+    }
+    return value;
+  };
+
+  return { data: sanitize(data), removed };
+}
+
+module.exports = {
+  validateShareData,
+  sanitizeShareData
+};
@@ -0,0 +1,827 @@
+/* jshint node: true */
+"use strict";
+
+const express = require("express");
+const bodyParser = require("body-parser");
+const path = require("path");
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { createStorage } = require("./storage");
+const createAuth = require("./auth");
+const parseDuration = require("./duration");
+const {
+  referrerHost,
+  userAgentFamily,
+  addCount,
+  mergeCounts
+} = require("./analytics");
+const log = require("./logger").logger.child({ module: "shortener" });
+const { sendProblem } = require("./errors");
+
+/**
+ * URL shortener for Terria
+ * Short links are stored in one of the share service's storage backends, with
+ * the long URL as each record's data and its stats as metadata
+ */
+
+// Short IDs are used as file names and object keys, so keep them to a safe alphabet
+const SHORT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Custom slugs must start with a letter or number
+const SLUG_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{2,63}$/;
+
+// Slugs that clash with the shortener's own routes, or could be mistaken for
+// official pages
+const RESERVED_SLUGS = new Set([
+  "admin",
+  "api",
+  "assets",
+  "auth",
+  "health",
+  "healthz",
+  "index",
+  "login",
+  "logout",
+  "metrics",
+  "public",
+  "qr",
+  "readyz",
+  "serverconfig",
+  "share",
+  "static",
+  "twin"
+]);
+
+// Days of click history kept per link
+const MAX_CLICK_DAYS = 366;
+
+// Default interval between writes of recorded clicks, in seconds
+const CLICK_FLUSH_INTERVAL = 10;
+
+// Seconds before retrying storage that failed to initialise, doubled after
+// each failure up to the maximum
+const INIT_RETRY_DELAY = 5;
+const INIT_RETRY_MAX_DELAY = 300;
+
+// Limits for QR code images, in pixels
+const QR_DEFAULT_SIZE = 256;
+const QR_MAX_SIZE = 1024;
+
+// Seconds QR codes may be cached for
+const QR_MAX_AGE = 86400;
+
+// Pages served by the shortener
+const PUBLIC_DIR = path.join(__dirname, "..", "public", "shortener");
+
+// Create an error carrying the HTTP status the router should respond with
+function shortenerError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check a custom slug, throwing 400 if it isn't allowed
+ * @param {string} slug
+ */
+function validateSlug(slug) {
+  if (typeof slug !== "string" || !SLUG_PATTERN.test(slug)) {
+    throw shortenerError(
+      "Custom ID must be 3 to 64 letters, numbers, hyphens and underscores, starting with a letter or number",
+      400
+    );
+  }
+  if (RESERVED_SLUGS.has(slug.toLowerCase())) {
+    throw shortenerError(`Custom ID "${slug}" is reserved`, 400);
+  }
+}
+
+/**
+ * Parse a link expiry, given as a date or a duration from now such as '30d'
+ * @param {string|number} value
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|undefined} ISO expiry date, or undefined for no expiry
+ */
+function parseExpiry(value, now) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const duration = parseDuration(value);
+  const time =
+    duration !== undefined ? now + duration * 1000 : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw shortenerError(
+      "expires must be a date or a duration such as '30d'",
+      400
+    );
+  }
+  if (time <= now) {
+    throw shortenerError("expires must be in the future", 400);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Parse a click limit
+ * @param {number|string} value
+ * @returns {number|undefined} Click limit, or undefined for no limit
+ */
+function parseMaxClicks(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const maxClicks = Number(value);
+  if (!Number.isInteger(maxClicks) || maxClicks < 1) {
+    throw shortenerError("maxClicks must be a positive whole number", 400);
+  }
+  return maxClicks;
+}
+
+/**
+ * Create a check of whether a URL may be shortened and redirected to
+ * @param {string[]} allowedHosts - Domains links may point to, including their subdomains
+ * @param {boolean} allowAllHosts - Allow links to any host
+ * @returns {Function} Called with the URL and the server's own host name, returns whether the URL is allowed
+ */
+function createRedirectCheck(allowedHosts = [], allowAllHosts = false) {
+  const domains = allowedHosts.map((domain) => domain.toLowerCase());
+  return (value, ownHost) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return false;
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return false;
+    }
+    const host = url.hostname.toLowerCase();
+    if (allowAllHosts || host === ownHost) {
+      return true;
+    }
+    // Unlike a plain suffix match, "evilgov.au" doesn't match "gov.au"
+    return domains.some(
+      (domain) => host === domain || host.endsWith(`.${domain}`)
+    );
+  };
+}
+
+// Whether a link has expired or used up its clicks
+function isUnavailable(data, now = Date.now()) {
+  return (
+    (!!data.expires && Date.parse(data.expires) <= now) ||
+    (data.maxClicks !== undefined && (data.clicks || 0) >= data.maxClicks)
+  );
+}
+
+// Add clicks recorded by `recordClick` to a link's metadata
+function addClicks(data, click) {
+  data.userAgents = mergeCounts(data.userAgents, click.userAgents);
+  if (click.clicks) {
+    data.clicks = (data.clicks || 0) + click.clicks;
+    data.lastClicked = click.lastClicked;
+    data.clicksByDay = mergeCounts(
+      data.clicksByDay,
+      click.clicksByDay,
+      Infinity
+    );
+    const days = Object.keys(data.clicksByDay).sort();
+    for (const old of days.slice(0, -MAX_CLICK_DAYS)) {
+      delete data.clicksByDay[old];
+    }
+    data.referrers = mergeCounts(data.referrers, click.referrers);
+  }
+}
+
+// Key of a long URL in the reverse index
+function urlHash(url) {
+  return crypto.createHash("sha256").update(url).digest("hex").slice(0, 16);
+}
+
+class URLShortener {
+  /**
+   * @param {Object} storage - Storage backend created by `createStorage`
+   */
+  constructor(storage) {
+    this.storage = storage;
+    // Short IDs by hash of their long URL, loaded when first needed
+    this.urlIndex = null;
+    this.urlIndexLoading = null;
+    this.pendingClicks = new Map();
+    this.flushing = Promise.resolve();
+    this.ready = false;
+    this.initialising = null;
+  }
+
+  // Initialise the storage backend. After a failure, the next call tries
+  // again.
+  init() {
+    if (this.ready) {
+      return Promise.resolve();
+    }
+    if (!this.initialising) {
+      this.initialising = this.storage.init().then(
+        () => {
+          this.ready = true;
+          this.initialising = null;
+        },
+        (error) => {
+          this.initialising = null;
+          throw error;
+        }
+      );
+    }
+    return this.initialising;
+  }
+
+  /**
+   * Wait until the storage is initialised, trying again if it failed
+   * @throws {Error} With status 503 if the storage backend can't be initialised
+   */
+  async whenReady() {
+    try {
+      await this.init();
+    } catch (error) {
+      throw shortenerError("URL shortener storage is unavailable", 503);
+    }
+  }
+
+  generateId(url, length = 6) {
+    const hash = crypto.createHash("sha256").update(url).digest("hex");
+    return hash.substring(0, length);
+  }
+
+  generateRandomId(length = 6) {
+    const chars =
+      "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+    let result = "";
+    const bytes = crypto.randomBytes(length);
+    for (let i = 0; i < length; i++) {
+      result += chars[bytes[i] % chars.length];
+    }
+    return result;
+  }
+
+  /**
+   * Build the reverse index of long URLs from storage. Links created by
+   * other server processes are missed, which only means a URL they
+   * shortened may be given a second link.
+   * @returns {Promise<Map<string, Set<string>>>} Short IDs by URL hash
+   */
+  loadUrlIndex() {
+    if (!this.urlIndexLoading) {
+      this.urlIndexLoading = this.storage.listMeta().then((entries) => {
+        const index = new Map();
+        for (const [id, data] of Object.entries(entries)) {
+          if (data.url) {
+            this.addToUrlIndex(index, id, data.url);
+          }
+        }
+        this.urlIndex = index;
+        return index;
+      });
+      // Try again next time if loading failed
+      this.urlIndexLoading.catch(() => {
+        this.urlIndexLoading = null;
+      });
+    }
+    return this.urlIndexLoading;
+  }
+
+  addToUrlIndex(index, id, url) {
+    const hash = urlHash(url);
+    if (!index.has(hash)) {
+      index.set(hash, new Set());
+    }
+    index.get(hash).add(id);
+  }
+
+  /**
+   * Shorten a URL. Shortening a URL again without a custom ID or limits
+   * returns the existing link, if it has the same owner.
+   * @param {string} longUrl - URL to redirect to
+   * @param {Object} options
+   * @param {string} options.customId - Slug to use instead of a generated ID
+   * @param {string|number} options.expires - Expiry date, or duration from now such as '30d'
+   * @param {number} options.maxClicks - Clicks after which the link stops working
+   * @param {string} options.owner - User ID (JWT `sub`) of the link's creator
+   * @returns {Promise<{id: string, metadata: Object, existing: boolean}>} Short ID and its metadata
+   */
+  async shortenUrl(longUrl, options = {}) {
+    const now = Date.now();
+    const customId = options.customId || null;
+    if (customId) {
+      validateSlug(customId);
+    }
+    const expires = parseExpiry(options.expires, now);
+    const maxClicks = parseMaxClicks(options.maxClicks);
+    const limited = expires !== undefined || maxClicks !== undefined;
+    const owner = options.owner || null;
+
+    // Check if URL already exists
+    const urlIndex = await this.loadUrlIndex();
+    if (!customId && !limited) {
+      for (const id of urlIndex.get(urlHash(longUrl)) || []) {
+        const data = await this.storage.getMeta(id);
+        if (
+          data &&
+          data.url === longUrl &&
+          (data.owner || null) === owner &&
+          !data.expires &&
+          data.maxClicks === undefined
+        ) {
+          return { id, metadata: data, existing: true };
+        }
+      }
+    }
+
+    // Generate or use custom ID
+    let id = customId || this.generateId(longUrl);
+
+    // Handle collisions
+    if (await this.storage.hasData(id)) {
+      if (customId) {
+        throw shortenerError("Custom ID already in use", 409);
+      }
+      id = this.generateRandomId(8);
+    }
+
+    // Store the URL
+    const metadata = {
+      url: longUrl,
+      created: new Date(now).toISOString(),
+      clicks: 0
+    };
+    if (expires !== undefined) {
+      metadata.expires = expires;
+    }
+    if (maxClicks !== undefined) {
+      metadata.maxClicks = maxClicks;
+    }
+    if (owner) {
+      metadata.owner = owner;
+    }
+    await this.storage.writeData(id, longUrl);
+    await this.storage.setMeta(id, metadata);
+    this.addToUrlIndex(urlIndex, id, longUrl);
+    log.info("Created short link", { id });
+    return { id, metadata, existing: false };
+  }
+
+  /**
+   * Resolve a short ID and record the click. Clicks by bots (such as chat
+   * link previews) are counted separately and don't use up `maxClicks`.
+   * Clicks are held in memory and written by `flushClicks`, so resolving a
+   * link doesn't wait for a write.
+   * @param {string} id - Short ID
+   * @param {Object} request
+   * @param {string} request.referrer - Referer header of the click
+   * @param {string} request.userAgent - User-Agent header of the click
+   * @param {boolean} request.count - Whether to record the click (default: true)
+   * @returns {Promise<string|null>} Long URL, or null if the ID doesn't exist.
+   *   Throws 410 if the link has expired or used up its clicks.
+   */
+  async resolveUrl(id, request = {}) {
+    const data = await this.storage.getMeta(id);
+    const url = data && data.url ? data.url : await this.storage.readData(id);
+    if (url === null) {
+      return null;
+    }
+
+    const now = new Date();
+    if (data) {
+      const pending = this.pendingClicks.get(id);
+      const clicks = (data.clicks || 0) + (pending ? pending.clicks : 0);
+      if (isUnavailable({ ...data, clicks }, now.getTime())) {
+        throw shortenerError(`Short link is no longer available: ${id}`, 410);
+      }
+    }
+    if (request.count !== false) {
+      this.recordClick(id, request, now);
+    }
+    return url;
+  }
+
+  // Count a click in memory until the next flush
+  recordClick(id, request, now) {
+    let click = this.pendingClicks.get(id);
+    if (!click) {
+      click = { clicks: 0, clicksByDay: {}, referrers: {}, userAgents: {} };
+      this.pendingClicks.set(id, click);
+    }
+    const family = userAgentFamily(request.userAgent);
+    addCount(click.userAgents, family);
+    if (family !== "bot") {
+      const day = now.toISOString().slice(0, 10);
+      click.clicks++;
+      click.lastClicked = now.toISOString();
+      addCount(click.clicksByDay, day);
+      addCount(click.referrers, referrerHost(request.referrer));
+    }
+  }
+
+  /**
+   * Write clicks recorded since the last flush to storage
+   * @returns {Promise<void>}
+   */
+  flushClicks() {
+    this.flushing = this.flushing.then(() => this.writeClicks());
+    return this.flushing;
+  }
+
+  async writeClicks() {
+    if (this.pendingClicks.size === 0) {
+      return;
+    }
+    const pending = this.pendingClicks;
+    this.pendingClicks = new Map();
+
+    // The file backend rewrites its whole index for every change, so write
+    // all the links at once
+    if (this.storage.updateIndex) {
+      try {
+        await this.storage.updateIndex((index) => {
+          for (const [id, click] of pending) {
+            if (index[id]) {
+              addClicks(index[id], click);
+              pending.delete(id);
+            }
+          }
+        });
+      } catch (error) {
+        log.warn("Failed to record clicks", { error });
+        return;
+      }
+    }
+
+    for (const [id, click] of pending) {
+      try {
+        // Links imported without metadata get it on their first click
+        const url = (await this.storage.getMeta(id))
+          ? null
+          : await this.storage.readData(id);
+        await this.storage.updateMeta(id, (data) => {
+          if (!data) {
+            if (url === null) {
+              // Deleted since it was clicked
+              return undefined;
+            }
+            data = { url, created: new Date().toISOString(), clicks: 0 };
+          }
+          addClicks(data, click);
+          return data;
+        });
+      } catch (error) {
+        log.warn("Failed to record clicks", { id, error });
+      }
+    }
+  }
+
+  async getStats(id) {
+    return this.storage.getMeta(id);
+  }
+
+  /**
+   * List the links created by a user
+   * @param {string} owner - User ID (JWT `sub`)
+   * @returns {Promise<Object[]>} Links with their metadata
+   */
+  async listOwnedBy(owner) {
+    const urls = await this.getAllUrls();
+    return urls.filter((u) => u.owner === owner);
+  }
+
+  async getAllUrls() {
+    const entries = await this.storage.listMeta();
+    return Object.entries(entries).map(([id, data]) => ({
+      id,
+      ...data
+    }));
+  }
+
+  async deleteUrl(id) {
+    // Don't let a flush in progress write the link's metadata back
+    this.pendingClicks.delete(id);
+    await this.flushing;
+    const data = await this.storage.getMeta(id);
+    const deletedData = await this.storage.deleteData(id);
+    const deletedMeta = await this.storage.deleteMeta(id);
+    if (data && data.url && this.urlIndex) {
+      const ids = this.urlIndex.get(urlHash(data.url));
+      if (ids) {
+        ids.delete(id);
+      }
+    }
+    if (deletedData || deletedMeta) {
+      log.info("Deleted short link", { id });
+    }
+    return deletedData || deletedMeta;
+  }
+}
+
+/**
+ * Create the URL shortener router
+ * @param {Object} options - Configuration options
+ * @param {string} options.storageDir - Default directory to store short links
+ * @param {string} options.rootDir - Directory relative storage paths are resolved against
+ * @param {Object} options.storage - Storage backend config, as for a share prefix in serverconfig.json (default: file)
+ * @param {string[]} options.allowedHosts - Domains (and their subdomains) links may redirect to, besides the
+ *   server's own host
+ * @param {boolean} options.allowAllHosts - Allow links to any http(s) URL (default: false)
+ * @param {number|string} options.clickFlushInterval - How often recorded clicks are written (default: '10s')
+ * @param {Object} options.auth - Authentication middleware created by `createAuth`
+ * @param {Object} [options.serverConfig] - Client configuration created by `createServerConfig`, to register with
+ * @param {Object} [options.health] - Health endpoints created by `createHealth`, to add a readiness check to
+ * @returns {express.Router} Express router
+ */
+module.exports = function createShortenerRouter(options = {}) {
+  const auth = options.auth || createAuth();
+  const isAllowedUrl = createRedirectCheck(
+    options.allowedHosts,
+    options.allowAllHosts
+  );
+  const storage = createStorage(options.storage, {
+    storageDir:
+      options.storageDir || path.join(__dirname, "..", "..", "url-data"),
+    rootDir: options.rootDir
+  });
+  const shortener = new URLShortener(storage);
+
+  // Initialise the storage, retrying if it fails so that a backend that
+  // comes up later is used without a restart. Until then requests are
+  // answered with 503.
+  const initStorage = (delay) => {
+    shortener.init().catch((error) => {
+      log.error("Failed to initialize URL shortener", {
+        retryIn: delay,
+        error
+      });
+      setTimeout(
+        () => initStorage(Math.min(delay * 2, INIT_RETRY_MAX_DELAY)),
+        delay * 1000
+      ).unref();
+    });
+  };
+  initStorage(INIT_RETRY_DELAY);
+
+  // Write recorded clicks in batches
+  const flushInterval =
+    parseDuration(options.clickFlushInterval) || CLICK_FLUSH_INTERVAL;
+  const flushTimer = setInterval(() => {
+    shortener.flushClicks();
+  }, flushInterval * 1000);
+  flushTimer.unref();
+
+  // Respond with the status carried by a shortener error, or 500
+  const sendError = (res, error, message) => {
+    if (error.status) {
+      return sendProblem(res, error.status, error.message);
+    }
+    log.forRequest(res.req).error(message, { error });
+    sendProblem(res, 500, message);
+  };
+
+  // Full short URL of a link
+  const shortUrl = (req, id) =>
+    `${req.protocol}://${req.get("host")}${req.baseUrl}/${id}`;
+
+  // Find a link the current user may manage: their own, or any link for
+  // admins. Throws 404, 401 or 403 otherwise.
+  const findManagedLink = async (req) => {
+    const metadata = SHORT_ID_PATTERN.test(req.params.id)
+      ? await shortener.getStats(req.params.id)
+      : null;
+    if (!metadata) {
+      throw shortenerError("URL not found", 404);
+    }
+    if (auth.isAdmin(req)) {
+      return metadata;
+    }
+    if (!req.user) {
+      throw shortenerError("Authentication required", 401);
+    }
+    if (!metadata.owner || metadata.owner !== req.user.sub) {
+      throw shortenerError("Only the owner of a link can manage it", 403);
+    }
+    return metadata;
+  };
+
+  // Describe a link for the JSON API
+  const describeLink = (req, id, metadata) => ({
+    id,
+    shortUrl: shortUrl(req, id),
+    longUrl: metadata.url,
+    created: metadata.created,
+    expires: metadata.expires,
+    maxClicks: metadata.maxClicks,
+    clicks: metadata.clicks || 0,
+    qr: {
+      png: `${req.baseUrl}/${id}/qr.png`,
+      svg: `${req.baseUrl}/${id}/qr.svg`
+    }
+  });
+
+  if (options.serverConfig) {
+    options.serverConfig.register("shortener");
+  }
+  if (options.health) {
+    options.health.addCheck("shortener", async () => {
+      if (!shortener.ready) {
+        throw new Error("Not initialised");
+      }
+    });
+  }
+
+  const router = express.Router();
+
+  // Backends such as the log load every link on start, so wait for them,
+  // and answer 503 while the storage can't be initialised
+  router.use(async (req, res, next) => {
+    try {
+      await shortener.whenReady();
+    } catch (error) {
+      return sendError(res, error);
+    }
+    next();
+  });
+
+  router.use(bodyParser.json());
+  router.use(bodyParser.urlencoded({ extended: true }));
+
+  // Identify the logged in user (if any) from their access token
+  router.use(auth.authenticate);
+
+  // Home page. Its links are relative, so make sure the URL ends with a slash.
+  router.get("/", (req, res) => {
+    if (!req.originalUrl.split("?")[0].endsWith("/")) {
+      return res.redirect(301, `${req.baseUrl}/`);
+    }
+    res.sendFile(path.join(PUBLIC_DIR, "index.html"));
+  });
+
+  router.use(express.static(PUBLIC_DIR, { index: false }));
+
+  // API: Shorten URL
+  //   Body: {"url": "...", "customId": "my-link", "expires": "30d", "maxClicks": 100}
+  router.post("/api/shorten", async (req, res) => {
+    try {
+      const { url, customId, expires, maxClicks } = req.body || {};
+
+      if (!url) {
+        return sendProblem(res, 400, "URL is required");
+      }
+
+      // Validate URL
+      try {
+        new URL(url);
+      } catch {
+        return sendProblem(res, 400, "Invalid URL format");
+      }
+      if (!isAllowedUrl(url, req.hostname)) {
+        return sendProblem(
+          res,
+          400,
+          "Links may only point to this site or the shortener's allowed hosts"
+        );
+      }
+
+      const { id, metadata, existing } = await shortener.shortenUrl(url, {
+        customId,
+        expires,
+        maxClicks,
+        owner: req.user ? req.user.sub : undefined
+      });
+      res.status(existing ? 200 : 201).json(describeLink(req, id, metadata));
+    } catch (error) {
+      sendError(res, error, "Failed to shorten URL");
+    }
+  });
+
+  // Admin page listing every short link. The page itself is static and
+  // loads the list from /api/urls, which requires the admin role.
+  router.get("/admin/urls", (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, "admin.html"));
+  });
+
+  // API: Get all URLs (admin)
+  router.get("/api/urls", auth.requireAdmin, async (req, res) => {
+    try {
+      await shortener.flushClicks();
+      const urls = await shortener.getAllUrls();
+      res.json({ count: urls.length, urls });
+    } catch (error) {
+      sendError(res, error, "Failed to list URLs");
+    }
+  });
+
+  // API: List the current user's links
+  router.get("/api/mine", auth.requireUser, async (req, res) => {
+    try {
+      await shortener.flushClicks();
+      const urls = await shortener.listOwnedBy(req.user.sub);
+      res.json({ count: urls.length, urls });
+    } catch (error) {
+      sendError(res, error, "Failed to list URLs");
+    }
+  });
+
+  // API: Get a link's settings and click analytics (owner or admin)
+  router.get("/api/url/:id", async (req, res) => {
+    try {
+      await shortener.flushClicks();
+      const metadata = await findManagedLink(req);
+      res.json({
+        ...describeLink(req, req.params.id, metadata),
+        available: !isUnavailable(metadata),
+        lastClicked: metadata.lastClicked,
+        owner: metadata.owner,
+        clicksByDay: metadata.clicksByDay || {},
+        referrers: metadata.referrers || {},
+        userAgents: metadata.userAgents || {}
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to get URL");
+    }
+  });
+
+  // API: Delete URL (owner or admin)
+  router.delete("/api/url/:id", async (req, res) => {
+    try {
+      await findManagedLink(req);
+      await shortener.deleteUrl(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, "Failed to delete URL");
+    }
+  });
+
+  // QR code of a short URL, as PNG (?size= in pixels) or SVG
+  router.get("/:id/qr.:format(png|svg)", async (req, res) => {
+    try {
+      const metadata = SHORT_ID_PATTERN.test(req.params.id)
+        ? await shortener.getStats(req.params.id)
+        : null;
+      if (!metadata) {
+        return sendProblem(res, 404, "URL not found");
+      }
+
+      const size = Math.min(
+        QR_MAX_SIZE,
+        Math.max(64, parseInt(req.query.size, 10) || QR_DEFAULT_SIZE)
+      );
+      const qrOptions = { width: size, margin: 2 };
+      const url = shortUrl(req, req.params.id);
+      // Cache the code no longer than the link works. Links limited by
+      // clicks may stop working at any time.
+      const maxAge = metadata.expires
+        ? Math.floor((Date.parse(metadata.expires) - Date.now()) / 1000)
+        : QR_MAX_AGE;
+      res.setHeader(
+        "Cache-Control",
+        metadata.maxClicks !== undefined || maxAge <= 0
+          ? "no-cache"
+          : `public, max-age=${Math.min(maxAge, QR_MAX_AGE)}`
+      );
+      if (req.params.format === "svg") {
+        res
+          .type("image/svg+xml")
+          .send(await QRCode.toString(url, { ...qrOptions, type: "svg" }));
+      } else {
+        res.type("image/png").send(await QRCode.toBuffer(url, qrOptions));
+      }
+    } catch (error) {
+      sendError(res, error, "Failed to create QR code");
+    }
+  });
+
+  // Redirect short URL to long URL
+  router.get("/:id", async (req, res, next) => {
+    try {
+      const longUrl = SHORT_ID_PATTERN.test(req.params.id)
+        ? await shortener.resolveUrl(req.params.id, {
+            referrer: req.get("Referer"),
+            userAgent: req.get("User-Agent"),
+            count: req.method !== "HEAD"
+          })
+        : null;
+
+      if (longUrl && !isAllowedUrl(longUrl, req.hostname)) {
+        // Created before its host was removed from the allow-list
+        res.status(403).sendFile(path.join(PUBLIC_DIR, "403.html"));
+      } else if (longUrl) {
+        res.redirect(longUrl);
+      } else {
+        res.status(404).sendFile(path.join(PUBLIC_DIR, "404.html"));
+      }
+    } catch (error) {
+      if (error.status === 410) {
+        return res.status(410).sendFile(path.join(PUBLIC_DIR, "410.html"));
+      }
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports.URLShortener = URLShortener;
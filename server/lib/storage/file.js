@@ -0,0 +1,290 @@
+/* jshint node: true */
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+// How long to wait for the index lock, and when to consider a lock abandoned.
+// The holder touches the lock file while it holds it, so only the lock of a
+// process that died or hung goes stale.
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE = 30000;
+const LOCK_REFRESH = 5000;
+
+// Write a file atomically: write to a temporary file, then rename it into
+// place so readers never see a partially written file
+async function writeFileAtomic(file, content) {
+  const tmpFile = `${file}.${process.pid}.${crypto
+    .randomBytes(4)
+    .toString("hex")}.tmp`;
+  try {
+    await fs.writeFile(tmpFile, content, "utf8");
+    await fs.rename(tmpFile, file);
+  } catch (error) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw error;
+  }
+}
+
+// Read the token of the process holding a lock, or null if it isn't held
+async function readLock(lockFile) {
+  try {
+    return await fs.readFile(lockFile, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Remove a lock only if it still holds the given token, so a process never
+// removes a lock another process has taken since
+async function removeLock(lockFile, token) {
+  if ((await readLock(lockFile)) === token) {
+    await fs.unlink(lockFile).catch(() => {});
+  }
+}
+
+// Take a lock file shared by every process using the same storage directory.
+// Returns the token written to the lock, needed to release it.
+async function acquireLock(lockFile) {
+  const token = `${process.pid}:${crypto.randomBytes(8).toString("hex")}`;
+  const start = Date.now();
+  for (;;) {
+    try {
+      await fs.writeFile(lockFile, token, { flag: "wx" });
+      return token;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    // Remove locks left behind by a process that crashed while holding them
+    try {
+      const holder = await readLock(lockFile);
+      const stat = await fs.stat(lockFile);
+      if (holder !== null && Date.now() - stat.mtimeMs > LOCK_STALE) {
+        await removeLock(lockFile, holder);
+        continue;
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        continue;
+      }
+      throw error;
+    }
+
+    if (Date.now() - start > LOCK_TIMEOUT) {
+      throw new Error(`Timed out waiting for lock ${lockFile}`);
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, 10 + Math.random() * 40)
+    );
+  }
+}
+
+/**
+ * File-based storage backend.
+ * Each record's data is stored as `data/{id}.json` and all metadata lives in
+ * a single `index.json`. Files are written atomically, and changes to the
+ * index are serialised by a queue within the process and a lock file across
+ * processes (e.g. PM2 cluster instances sharing the directory).
+ */
+class FileStorage {
+  /**
+   * @param {Object} config - Backend configuration from serverconfig.json
+   * @param {string} [config.storageDir] - Directory to store data in
+   * @param {Object} defaults
+   * @param {string} defaults.storageDir - Directory used when config doesn't name one
+   * @param {string} defaults.rootDir - Directory relative paths are resolved against
+   */
+  constructor(config = {}, defaults = {}) {
+    this.storageDir = path.resolve(
+      defaults.rootDir || process.cwd(),
+      config.storageDir || defaults.storageDir || "sharedata"
+    );
+    this.indexFile = path.join(this.storageDir, "index.json");
+    this.lockFile = path.join(this.storageDir, "index.lock");
+    this.dataDir = path.join(this.storageDir, "data");
+    this.indexQueue = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.storageDir, { recursive: true });
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    // Create index file if it doesn't exist
+    try {
+      await fs.writeFile(this.indexFile, JSON.stringify({}), { flag: "wx" });
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+  }
+
+  dataFile(id) {
+    return path.join(this.dataDir, `${id}.json`);
+  }
+
+  async readData(id) {
+    try {
+      return await fs.readFile(this.dataFile(id), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeData(id, content) {
+    await writeFileAtomic(this.dataFile(id), content);
+  }
+
+  async deleteData(id) {
+    try {
+      await fs.unlink(this.dataFile(id));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async hasData(id) {
+    try {
+      await fs.access(this.dataFile(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async readIndex() {
+    const indexContent = await fs.readFile(this.indexFile, "utf8");
+    return JSON.parse(indexContent);
+  }
+
+  async writeIndex(index) {
+    await writeFileAtomic(this.indexFile, JSON.stringify(index, null, 2));
+  }
+
+  /**
+   * Read, modify and write the index while holding the index lock
+   * @param {Function} modify - Called with the index, may change it in place; its result is returned
+   * @returns {Promise<*>} Result of modify
+   */
+  updateIndex(modify) {
+    const run = this.indexQueue.then(async () => {
+      const token = await acquireLock(this.lockFile);
+      // Keep the lock fresh, so other processes don't take it as abandoned
+      const refresh = setInterval(() => {
+        const now = new Date();
+        fs.utimes(this.lockFile, now, now).catch(() => {});
+      }, LOCK_REFRESH);
+      refresh.unref();
+      try {
+        const index = await this.readIndex();
+        const result = await modify(index);
+        await this.writeIndex(index);
+        return result;
+      } finally {
+        clearInterval(refresh);
+        await removeLock(this.lockFile, token);
+      }
+    });
+    // Keep the queue going if this update fails
+    this.indexQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Reconstruct index.json from the data directory, keeping existing
+   * metadata for records that still have data and dropping the rest
+   * @returns {Promise<{count: number, added: number, removed: number}>} Summary of changes
+   */
+  async rebuildIndex() {
+    // Earlier revisions of a share are stored as `{id}@{revision}` and
+    // listed in the share's own metadata
+    const files = (await fs.readdir(this.dataDir)).filter(
+      (file) => file.endsWith(".json") && !file.includes("@")
+    );
+    return this.updateIndex(async (index) => {
+      const rebuilt = {};
+      let added = 0;
+      for (const file of files) {
+        const id = file.slice(0, -".json".length);
+        if (index[id]) {
+          rebuilt[id] = index[id];
+          continue;
+        }
+        const stat = await fs.stat(path.join(this.dataDir, file));
+        rebuilt[id] = {
+          created: stat.mtime.toISOString(),
+          size: stat.size
+        };
+        added++;
+      }
+      const removed = Object.keys(index).filter((id) => !rebuilt[id]).length;
+
+      for (const id of Object.keys(index)) {
+        delete index[id];
+      }
+      Object.assign(index, rebuilt);
+      return { count: files.length, added, removed };
+    });
+  }
+
+  async getMeta(id) {
+    const index = await this.readIndex();
+    return index[id] || null;
+  }
+
+  async setMeta(id, meta) {
+    await this.updateIndex((index) => {
+      index[id] = meta;
+    });
+  }
+
+  /**
+   * Change a record's metadata while holding the index lock
+   * @param {string} id
+   * @param {Function} modify - Called with the current metadata (or null); returns the metadata to store, or undefined to leave it
+   * @returns {Promise<Object|null>} The record's metadata afterwards
+   */
+  async updateMeta(id, modify) {
+    return this.updateIndex((index) => {
+      const meta = modify(index[id] ? structuredClone(index[id]) : null);
+      if (meta !== undefined) {
+        index[id] = meta;
+      }
+      return index[id] || null;
+    });
+  }
+
+  async deleteMeta(id) {
+    return this.updateIndex((index) => {
+      if (!(id in index)) {
+        return false;
+      }
+      delete index[id];
+      return true;
+    });
+  }
+
+  async listMeta() {
+    return this.readIndex();
+  }
+
+  describe() {
+    return { service: "file" };
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,55 @@
+/* jshint node: true */
+"use strict";
+
+const FileStorage = require("./file");
+const SqliteStorage = require("./sqlite");
+const LogStorage = require("./log");
+const S3Storage = require("./s3");
+
+/**
+ * Storage backends, keyed by the `service` name used in serverconfig.json.
+ *
+ * Every backend stores records by ID, each with an optional data blob and an
+ * optional metadata object, and implements:
+ *   init(), readData(id), writeData(id, content), deleteData(id), hasData(id),
+ *   getMeta(id), setMeta(id, meta), updateMeta(id, modify), deleteMeta(id),
+ *   listMeta(), describe()
+ *
+ * `updateMeta` reads, changes and writes a record's metadata atomically, also
+ * against other processes using the same storage. `modify` is called with a
+ * copy of the current metadata (or null) and returns the metadata to store,
+ * or undefined to leave it. It must be synchronous, and may be called more
+ * than once if the record changes under it.
+ */
+const backends = {
+  file: FileStorage,
+  sqlite: SqliteStorage,
+  log: LogStorage,
+  s3: S3Storage
+};
+
+/**
+ * Create a storage backend
+ * @param {Object} config - Backend configuration, e.g. a `shareUrlPrefixes` entry in serverconfig.json
+ * @param {string} config.service - One of 'file', 'sqlite', 'log' or 's3' (default: 'file')
+ * @param {Object} defaults - Defaults for file-based backends
+ * @param {string} defaults.storageDir - Directory to store data in when the config doesn't name one
+ * @param {string} defaults.rootDir - Directory relative paths in the config are resolved against
+ * @returns {Object} Storage backend
+ */
+function createStorage(config = {}, defaults = {}) {
+  const service = config.service || "file";
+  const Backend = backends[service];
+  if (!Backend) {
+    throw new Error(`Unknown storage service: ${service}`);
+  }
+  return new Backend(config, defaults);
+}
+
+module.exports = {
+  createStorage,
+  FileStorage,
+  SqliteStorage,
+  LogStorage,
+  S3Storage
+};
@@ -0,0 +1,326 @@
+/* jshint node: true */
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const { readFileSync, unlinkSync } = require("fs");
+const path = require("path");
+const logger = require("../logger").logger.child({ module: "storage" });
+
+// Compact the log once it holds this many times more entries than records
+const COMPACT_RATIO = 2;
+const COMPACT_MIN_ENTRIES = 1000;
+
+// The process using a log touches its lock file this often, and a lock that
+// hasn't been touched for LOCK_STALE was left behind by a process that died
+const LOCK_REFRESH = 5000;
+const LOCK_STALE = 30000;
+
+// A line of the log. Values are JSON text: the data string, or the metadata.
+function logLine(op, id, value) {
+  return value === undefined
+    ? `${JSON.stringify({ op, id })}\n`
+    : `{"op":"${op}","id":${JSON.stringify(id)},"value":${value}}\n`;
+}
+
+/**
+ * Append-only log storage backend, for many small records such as short links.
+ * Every change is appended to a single file as a line of JSON and all records
+ * are held in memory, so reads never touch the disk and writes never rewrite
+ * existing data. The log is compacted when it grows to twice the size it needs.
+ * Only one process may use a log at a time: `init` takes a lock file next to
+ * the log, and fails while another process (a second server, or a script such
+ * as share-gc) holds it.
+ */
+class LogStorage {
+  /**
+   * @param {Object} config - Backend configuration from serverconfig.json
+   * @param {string} [config.file] - Path to the log file (default: `{storageDir}/store.log`)
+   * @param {Object} defaults
+   * @param {string} defaults.storageDir - Directory used when config doesn't name a file
+   * @param {string} defaults.rootDir - Directory relative paths are resolved against
+   */
+  constructor(config = {}, defaults = {}) {
+    const rootDir = defaults.rootDir || process.cwd();
+    this.file = config.file
+      ? path.resolve(rootDir, config.file)
+      : path.resolve(rootDir, defaults.storageDir || "sharedata", "store.log");
+    // Metadata is kept as JSON text so callers always get their own copy, as
+    // they would from other backends
+    this.data = new Map();
+    this.meta = new Map();
+    this.entries = 0;
+    this.lockFile = `${this.file}.lock`;
+    this.lockToken = null;
+    this.handle = null;
+    this.queue = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await this.lock();
+
+    let content = "";
+    try {
+      content = await fs.readFile(this.file, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    // Start afresh, in case an earlier init failed part way through
+    this.data = new Map();
+    this.meta = new Map();
+    this.entries = 0;
+
+    const lines = content.split("\n");
+    lines.forEach((line, i) => {
+      if (!line) {
+        return;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // The last line is cut short if the server stopped while writing it
+        if (i === lines.length - 1) {
+          logger.warn("Ignoring incomplete last entry", { file: this.file });
+          return;
+        }
+        throw new Error(`Corrupt entry on line ${i + 1} of ${this.file}`);
+      }
+      this.apply(entry);
+      this.entries++;
+    });
+
+    // Rewrite the log on start, which also drops an incomplete last line
+    await this.compact();
+  }
+
+  // Take the log's lock file, unless this process already holds it. The lock
+  // is kept until `close`, or the process exits.
+  async lock() {
+    if (this.lockToken) {
+      return;
+    }
+    const token = `${process.pid}:${crypto.randomBytes(8).toString("hex")}`;
+    for (;;) {
+      try {
+        await fs.writeFile(this.lockFile, token, { flag: "wx" });
+        break;
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      }
+
+      let holder;
+      let stat;
+      try {
+        holder = await fs.readFile(this.lockFile, "utf8");
+        stat = await fs.stat(this.lockFile);
+      } catch (error) {
+        // Released since, try again
+        if (error.code === "ENOENT") {
+          continue;
+        }
+        throw error;
+      }
+      if (Date.now() - stat.mtimeMs <= LOCK_STALE) {
+        throw new Error(
+          `${this.file} is in use by process ${holder.split(":")[0]}`
+        );
+      }
+      logger.warn("Removing abandoned lock", { file: this.lockFile, holder });
+      await fs.unlink(this.lockFile).catch(() => {});
+    }
+
+    this.lockToken = token;
+    // Keep the lock fresh, so other processes don't take it as abandoned
+    this.lockRefresh = setInterval(() => {
+      const now = new Date();
+      fs.utimes(this.lockFile, now, now).catch(() => {});
+    }, LOCK_REFRESH);
+    this.lockRefresh.unref();
+    // Release the lock on exit, so a restarted server can take it at once
+    this.releaseOnExit = () => {
+      try {
+        if (readFileSync(this.lockFile, "utf8") === token) {
+          unlinkSync(this.lockFile);
+        }
+      } catch {
+        // Already gone
+      }
+    };
+    process.once("exit", this.releaseOnExit);
+  }
+
+  /**
+   * Finish pending writes, close the log and release its lock
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.queue;
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+    if (this.lockToken) {
+      clearInterval(this.lockRefresh);
+      process.removeListener("exit", this.releaseOnExit);
+      this.releaseOnExit();
+      this.lockToken = null;
+    }
+  }
+
+  // Apply an entry read from the log to the in-memory records
+  apply(entry) {
+    switch (entry.op) {
+      case "data":
+        this.data.set(entry.id, entry.value);
+        break;
+      case "meta":
+        this.meta.set(entry.id, JSON.stringify(entry.value));
+        break;
+      case "deleteData":
+        this.data.delete(entry.id);
+        break;
+      case "deleteMeta":
+        this.meta.delete(entry.id);
+        break;
+      default:
+        throw new Error(`Unknown log entry: ${entry.op}`);
+    }
+  }
+
+  // Run writes to the log one at a time
+  enqueue(task) {
+    const run = this.queue.then(task);
+    // Keep the queue going if this write fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Append a line to the log, compacting it when it has grown too long
+  append(line) {
+    return this.enqueue(async () => {
+      await this.handle.appendFile(line, "utf8");
+      this.entries++;
+      const records = this.data.size + this.meta.size;
+      if (
+        this.entries > COMPACT_MIN_ENTRIES &&
+        this.entries > records * COMPACT_RATIO
+      ) {
+        await this.rewrite();
+      }
+    });
+  }
+
+  /**
+   * Rewrite the log with one entry per record
+   * @returns {Promise<void>}
+   */
+  compact() {
+    return this.enqueue(() => this.rewrite());
+  }
+
+  async rewrite() {
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    const out = await fs.open(tmpFile, "w");
+    let entries = 0;
+    try {
+      const write = async (op, records, toJson) => {
+        let chunk = "";
+        for (const [id, value] of records) {
+          chunk += logLine(op, id, toJson(value));
+          entries++;
+          if (chunk.length > 1 << 20) {
+            await out.write(chunk);
+            chunk = "";
+          }
+        }
+        await out.write(chunk);
+      };
+      await write("data", this.data, JSON.stringify);
+      await write("meta", this.meta, (meta) => meta);
+      await out.sync();
+    } finally {
+      await out.close();
+    }
+
+    if (this.handle) {
+      await this.handle.close();
+    }
+    await fs.rename(tmpFile, this.file);
+    this.handle = await fs.open(this.file, "a");
+    this.entries = entries;
+  }
+
+  async readData(id) {
+    return this.data.has(id) ? this.data.get(id) : null;
+  }
+
+  async writeData(id, content) {
+    this.data.set(id, content);
+    await this.append(logLine("data", id, JSON.stringify(content)));
+  }
+
+  async deleteData(id) {
+    if (!this.data.has(id)) {
+      return false;
+    }
+    this.data.delete(id);
+    await this.append(logLine("deleteData", id));
+    return true;
+  }
+
+  async hasData(id) {
+    return this.data.has(id);
+  }
+
+  async getMeta(id) {
+    return this.meta.has(id) ? JSON.parse(this.meta.get(id)) : null;
+  }
+
+  async setMeta(id, meta) {
+    const value = JSON.stringify(meta);
+    this.meta.set(id, value);
+    await this.append(logLine("meta", id, value));
+  }
+
+  async updateMeta(id, modify) {
+    // Read and change the record without awaiting in between, so no other
+    // change can come between them
+    const current = this.meta.has(id) ? JSON.parse(this.meta.get(id)) : null;
+    const meta = modify(current);
+    if (meta === undefined) {
+      return current;
+    }
+    await this.setMeta(id, meta);
+    return meta;
+  }
+
+  async deleteMeta(id) {
+    if (!this.meta.has(id)) {
+      return false;
+    }
+    this.meta.delete(id);
+    await this.append(logLine("deleteMeta", id));
+    return true;
+  }
+
+  async listMeta() {
+    const entries = {};
+    for (const [id, meta] of this.meta) {
+      entries[id] = JSON.parse(meta);
+    }
+    return entries;
+  }
+
+  describe() {
+    return { service: "log" };
+  }
+}
+
+module.exports = LogStorage;
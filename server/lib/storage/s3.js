@@ -0,0 +1,229 @@
+/* jshint node: true */
+"use strict";
+
+// Attempts at a conditional metadata update before giving up, when other
+// writers keep changing the record
+const UPDATE_ATTEMPTS = 5;
+
+/**
+ * S3-compatible object store backend (AWS S3, MinIO, etc.).
+ * Each record's data is stored as `{keyPrefix}data/{id}.json` and its metadata
+ * as `{keyPrefix}meta/{id}.json`, so concurrent writers never contend on a
+ * shared index object.
+ * Requires the optional `@aws-sdk/client-s3` dependency.
+ */
+class S3Storage {
+  /**
+   * @param {Object} config - Backend configuration from serverconfig.json
+   * @param {string} config.bucket - Bucket name
+   * @param {string} [config.region] - Bucket region (default: 'us-east-1')
+   * @param {string} [config.endpoint] - Custom endpoint, e.g. 'http://localhost:9000' for MinIO
+   * @param {boolean} [config.forcePathStyle] - Use path-style addressing (needed for MinIO)
+   * @param {string} [config.accessKeyId] - Access key, otherwise the default AWS credential chain is used
+   * @param {string} [config.secretAccessKey] - Secret key
+   * @param {string} [config.keyPrefix] - Prefix for all object keys (default: '')
+   */
+  constructor(config = {}) {
+    if (!config.bucket) {
+      throw new Error('The "s3" share storage service requires a bucket');
+    }
+    this.config = config;
+    this.bucket = config.bucket;
+    this.keyPrefix = config.keyPrefix || "";
+    this.client = null;
+  }
+
+  async init() {
+    let s3;
+    try {
+      s3 = require("@aws-sdk/client-s3");
+    } catch {
+      throw new Error(
+        'The "s3" share storage service requires the @aws-sdk/client-s3 package'
+      );
+    }
+    this.commands = s3;
+
+    const clientConfig = {
+      region: this.config.region || "us-east-1",
+      forcePathStyle: !!this.config.forcePathStyle
+    };
+    if (this.config.endpoint) {
+      clientConfig.endpoint = this.config.endpoint;
+    }
+    if (this.config.accessKeyId && this.config.secretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: this.config.accessKeyId,
+        secretAccessKey: this.config.secretAccessKey
+      };
+    }
+    this.client = new s3.S3Client(clientConfig);
+
+    // Fail early if the bucket is missing or credentials are wrong
+    await this.client.send(new s3.HeadBucketCommand({ Bucket: this.bucket }));
+  }
+
+  dataKey(id) {
+    return `${this.keyPrefix}data/${id}.json`;
+  }
+
+  metaKey(id) {
+    return `${this.keyPrefix}meta/${id}.json`;
+  }
+
+  // Read an object and its ETag, or {body: null} if it doesn't exist
+  async readObject(key) {
+    try {
+      const response = await this.client.send(
+        new this.commands.GetObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+      return {
+        body: await response.Body.transformToString("utf8"),
+        etag: response.ETag
+      };
+    } catch (error) {
+      if (error.name === "NoSuchKey" || error.name === "NotFound") {
+        return { body: null };
+      }
+      throw error;
+    }
+  }
+
+  async getObject(key) {
+    return (await this.readObject(key)).body;
+  }
+
+  // Write an object. With `conditions`, e.g. {IfMatch: etag}, the write
+  // fails if the object has changed.
+  async putObject(key, body, conditions = {}) {
+    await this.client.send(
+      new this.commands.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: "application/json",
+        ...conditions
+      })
+    );
+  }
+
+  async hasObject(key) {
+    try {
+      await this.client.send(
+        new this.commands.HeadObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+      return true;
+    } catch (error) {
+      if (error.name === "NotFound" || error.name === "NoSuchKey") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async deleteObject(key) {
+    const existed = await this.hasObject(key);
+    if (existed) {
+      await this.client.send(
+        new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+    }
+    return existed;
+  }
+
+  async readData(id) {
+    return this.getObject(this.dataKey(id));
+  }
+
+  async writeData(id, content) {
+    await this.putObject(this.dataKey(id), content);
+  }
+
+  async deleteData(id) {
+    return this.deleteObject(this.dataKey(id));
+  }
+
+  async hasData(id) {
+    return this.hasObject(this.dataKey(id));
+  }
+
+  async getMeta(id) {
+    const content = await this.getObject(this.metaKey(id));
+    return content === null ? null : JSON.parse(content);
+  }
+
+  async setMeta(id, meta) {
+    await this.putObject(this.metaKey(id), JSON.stringify(meta));
+  }
+
+  /**
+   * Change a record's metadata with a conditional write, which fails if
+   * another writer changed it since it was read. `modify` is then called
+   * again with the new metadata.
+   * @param {string} id
+   * @param {Function} modify - Called with the current metadata (or null); returns the metadata to store, or undefined to leave it
+   * @returns {Promise<Object|null>} The record's metadata afterwards
+   */
+  async updateMeta(id, modify) {
+    const key = this.metaKey(id);
+    for (let attempt = 1; ; attempt++) {
+      const { body, etag } = await this.readObject(key);
+      const current = body === null ? null : JSON.parse(body);
+      const meta = modify(current);
+      if (meta === undefined) {
+        return current;
+      }
+      try {
+        await this.putObject(
+          key,
+          JSON.stringify(meta),
+          etag ? { IfMatch: etag } : { IfNoneMatch: "*" }
+        );
+        return meta;
+      } catch (error) {
+        const status = error.$metadata && error.$metadata.httpStatusCode;
+        if ((status !== 412 && status !== 409) || attempt >= UPDATE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async deleteMeta(id) {
+    return this.deleteObject(this.metaKey(id));
+  }
+
+  async listMeta() {
+    const prefix = `${this.keyPrefix}meta/`;
+    const entries = {};
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(
+        new this.commands.ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        })
+      );
+      for (const object of response.Contents || []) {
+        const id = object.Key.slice(prefix.length).replace(/\.json$/, "");
+        const meta = await this.getMeta(id);
+        if (meta) {
+          entries[id] = meta;
+        }
+      }
+      continuationToken = response.IsTruncated
+        ? response.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    return entries;
+  }
+
+  describe() {
+    return { service: "s3" };
+  }
+}
+
+module.exports = S3Storage;
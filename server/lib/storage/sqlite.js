@@ -0,0 +1,157 @@
+/* jshint node: true */
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * SQLite storage backend, for single-node deployments that want a single
+ * database file instead of one file per record.
+ * Requires the optional `better-sqlite3` dependency.
+ */
+class SqliteStorage {
+  /**
+   * @param {Object} config - Backend configuration from serverconfig.json
+   * @param {string} [config.database] - Path to the database file (default: `{storageDir}/share.db`)
+   * @param {string} [config.table] - Table name (default: 'entries')
+   * @param {Object} defaults
+   * @param {string} defaults.storageDir - Directory used when config doesn't name a database
+   * @param {string} defaults.rootDir - Directory relative paths are resolved against
+   */
+  constructor(config = {}, defaults = {}) {
+    const rootDir = defaults.rootDir || process.cwd();
+    this.database = config.database
+      ? path.resolve(rootDir, config.database)
+      : path.resolve(rootDir, defaults.storageDir || "sharedata", "share.db");
+    this.table = config.table || "entries";
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid SQLite table name: ${this.table}`);
+    }
+    this.db = null;
+  }
+
+  async init() {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch {
+      throw new Error(
+        'The "sqlite" share storage service requires the better-sqlite3 package'
+      );
+    }
+
+    await fs.mkdir(path.dirname(this.database), { recursive: true });
+
+    const db = new Database(this.database);
+    try {
+      this.prepare(db);
+    } catch (error) {
+      // Close the database so that init can be tried again
+      db.close();
+      throw error;
+    }
+    this.db = db;
+  }
+
+  // Create the table and the statements used on a newly opened database
+  prepare(db) {
+    db.pragma("journal_mode = WAL");
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        id TEXT PRIMARY KEY,
+        data TEXT,
+        meta TEXT
+      )`
+    );
+
+    this.statements = {
+      readData: db.prepare(`SELECT data FROM ${this.table} WHERE id = ?`),
+      writeData: db.prepare(
+        `INSERT INTO ${this.table} (id, data) VALUES (?, ?)
+         ON CONFLICT(id) DO UPDATE SET data = excluded.data`
+      ),
+      deleteData: db.prepare(
+        `UPDATE ${this.table} SET data = NULL WHERE id = ? AND data IS NOT NULL`
+      ),
+      getMeta: db.prepare(`SELECT meta FROM ${this.table} WHERE id = ?`),
+      setMeta: db.prepare(
+        `INSERT INTO ${this.table} (id, meta) VALUES (?, ?)
+         ON CONFLICT(id) DO UPDATE SET meta = excluded.meta`
+      ),
+      deleteMeta: db.prepare(
+        `UPDATE ${this.table} SET meta = NULL WHERE id = ? AND meta IS NOT NULL`
+      ),
+      listMeta: db.prepare(
+        `SELECT id, meta FROM ${this.table} WHERE meta IS NOT NULL`
+      ),
+      prune: db.prepare(
+        `DELETE FROM ${this.table} WHERE id = ? AND data IS NULL AND meta IS NULL`
+      )
+    };
+
+    // Read and write a record's metadata in one IMMEDIATE transaction, which
+    // takes the write lock first so no other process changes it in between
+    this.updateMetaTransaction = db.transaction((id, modify) => {
+      const row = this.statements.getMeta.get(id);
+      const current = row && row.meta !== null ? JSON.parse(row.meta) : null;
+      const meta = modify(current);
+      if (meta === undefined) {
+        return current;
+      }
+      this.statements.setMeta.run(id, JSON.stringify(meta));
+      return meta;
+    });
+  }
+
+  async readData(id) {
+    const row = this.statements.readData.get(id);
+    return row && row.data !== null ? row.data : null;
+  }
+
+  async writeData(id, content) {
+    this.statements.writeData.run(id, content);
+  }
+
+  async deleteData(id) {
+    const result = this.statements.deleteData.run(id);
+    this.statements.prune.run(id);
+    return result.changes > 0;
+  }
+
+  async hasData(id) {
+    return (await this.readData(id)) !== null;
+  }
+
+  async getMeta(id) {
+    const row = this.statements.getMeta.get(id);
+    return row && row.meta !== null ? JSON.parse(row.meta) : null;
+  }
+
+  async setMeta(id, meta) {
+    this.statements.setMeta.run(id, JSON.stringify(meta));
+  }
+
+  async updateMeta(id, modify) {
+    return this.updateMetaTransaction.immediate(id, modify);
+  }
+
+  async deleteMeta(id) {
+    const result = this.statements.deleteMeta.run(id);
+    this.statements.prune.run(id);
+    return result.changes > 0;
+  }
+
+  async listMeta() {
+    const entries = {};
+    for (const row of this.statements.listMeta.all()) {
+      entries[row.id] = JSON.parse(row.meta);
+    }
+    return entries;
+  }
+
+  describe() {
+    return { service: "sqlite" };
+  }
+}
+
+module.exports = SqliteStorage;
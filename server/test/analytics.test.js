@@ -0,0 +1,106 @@
+/* jshint node: true */
+"use strict";
+
+/**
+ * Tests of the counts kept by the share service's view analytics
+ *
+ * Usage:
+ *   yarn test
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const { addCount, mergeCounts, referrerHost } = require("../lib/analytics");
+const { ShareDataStore } = require("../lib/share");
+const FileStorage = require("../lib/storage/file");
+
+// Host names that are also properties of Object.prototype
+const PROTOTYPE_HOSTS = ["constructor", "__proto__", "toString"];
+
+describe("analytics", () => {
+  describe("addCount", () => {
+    it("counts keys named like Object.prototype properties", () => {
+      const counts = {};
+      for (const host of PROTOTYPE_HOSTS) {
+        addCount(counts, host);
+        addCount(counts, host);
+      }
+      assert.deepStrictEqual(Object.keys(counts), PROTOTYPE_HOSTS);
+      for (const host of PROTOTYPE_HOSTS) {
+        assert.strictEqual(
+          Object.getOwnPropertyDescriptor(counts, host).value,
+          2
+        );
+      }
+      assert.strictEqual(Object.getPrototypeOf(counts), Object.prototype);
+    });
+  });
+
+  describe("mergeCounts", () => {
+    it("adds to existing counts", () => {
+      assert.deepStrictEqual(mergeCounts({ a: 1 }, { a: 2, b: 1 }), {
+        a: 3,
+        b: 1
+      });
+    });
+
+    it("keeps Object.prototype names as plain counts", () => {
+      const stored = JSON.parse('{"constructor":1,"__proto__":4}');
+      const merged = mergeCounts(
+        stored,
+        JSON.parse('{"constructor":2,"__proto__":1}')
+      );
+      assert.strictEqual(
+        JSON.stringify(merged),
+        '{"constructor":3,"__proto__":5}'
+      );
+    });
+
+    it("counts keys past the limit as other", () => {
+      const merged = mergeCounts({ a: 1, b: 1 }, { c: 1, constructor: 1 }, 3);
+      assert.strictEqual(
+        JSON.stringify(merged),
+        '{"a":1,"b":1,"c":1,"other":1}'
+      );
+    });
+  });
+
+  describe("share views", () => {
+    it("stores referrers whose host is an Object.prototype name", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "analytics-test-"));
+      try {
+        const store = new ShareDataStore(new FileStorage({ storageDir: dir }));
+        await store.init();
+        const { id } = await store.save('{"version":"8.0.0","initSources":[]}');
+        for (const host of PROTOTYPE_HOSTS) {
+          store.recordAccess(id, `http://${host}/`);
+        }
+        store.recordAccess(id, "http://constructor/page");
+        await store.flushAccess();
+
+        const metadata = await store.storage.getMeta(id);
+        assert.strictEqual(metadata.views, 4);
+        assert.strictEqual(
+          JSON.stringify(metadata.referrers),
+          '{"constructor":2,"__proto__":1,"tostring":1}'
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("referrerHost", () => {
+    it("keeps only the host", () => {
+      assert.strictEqual(
+        referrerHost("https://example.com/a?token=x"),
+        "example.com"
+      );
+      assert.strictEqual(referrerHost(""), "direct");
+      assert.strictEqual(referrerHost("not a url"), "direct");
+    });
+  });
+});
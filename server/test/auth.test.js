@@ -0,0 +1,414 @@
+/* jshint node: true */
+"use strict";
+
+/**
+ * Tests of token verification, authentication and the admin check, with keys
+ * made by scripts/auth-dev-keys.js
+ *
+ * Usage:
+ *   yarn test
+ */
+
+const { execFileSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("node:assert");
+const { after, before, describe, it } = require("node:test");
+const jwt = require("jsonwebtoken");
+const createAuth = require("../lib/auth");
+
+const devKeysScript = path.join(
+  __dirname,
+  "..",
+  "..",
+  "scripts",
+  "auth-dev-keys.js"
+);
+
+// Run scripts/auth-dev-keys.js with keys in `dir`
+const devKeys = (dir, ...args) =>
+  execFileSync(process.execPath, [devKeysScript, ...args, "--dir", dir], {
+    encoding: "utf8"
+  }).trim();
+
+// Sign a token with HMAC SHA-256 by hand, so any bytes can be the secret
+const signHs256 = (claims, secret) => {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const body = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("base64url");
+  return `${body}.${signature}`;
+};
+
+// Express request and response stand-ins, enough for the auth middleware
+const request = (headers = {}, method = "GET") => {
+  const lowerCase = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    id: "test",
+    method,
+    hostname: "maps.example.com",
+    headers: lowerCase,
+    get: (name) => lowerCase[name.toLowerCase()]
+  };
+};
+const response = (req) => {
+  const res = { req, statusCode: 200 };
+  res.status = (status) => {
+    res.statusCode = status;
+    return res;
+  };
+  res.type = () => res;
+  res.send = (body) => {
+    res.body = JSON.parse(body);
+    return res;
+  };
+  return res;
+};
+
+// Run a middleware, returning whether it called `next`
+const run = (middleware, req, res) => {
+  let called = false;
+  middleware(req, res, () => {
+    called = true;
+  });
+  return called;
+};
+
+describe("auth", () => {
+  let dir;
+  let otherDir;
+  let auth;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+    otherDir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+    devKeys(dir, "init");
+    devKeys(otherDir, "init");
+    auth = createAuth({
+      jwksFile: path.join(dir, "jwks.json"),
+      adminToken: "local-admin-token"
+    });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(otherDir, { recursive: true, force: true });
+  });
+
+  describe("verifyToken", () => {
+    it("accepts a token signed with a key from the JWKS file", () => {
+      const token = devKeys(
+        dir,
+        "token",
+        "--sub",
+        "alice",
+        "--roles",
+        "editor"
+      );
+      const claims = auth.verifyToken(token);
+      assert.strictEqual(claims.sub, "alice");
+      assert.deepStrictEqual(claims.roles, ["editor"]);
+    });
+
+    it("rejects an expired token", () => {
+      const token = devKeys(dir, "token", "--sub", "alice", "--expires", "1s");
+      const realNow = Date.now;
+      // Past the expiry and the 30 second clock tolerance
+      Date.now = () => realNow() + 60000;
+      try {
+        assert.throws(() => auth.verifyToken(token), {
+          name: "TokenExpiredError"
+        });
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    it("rejects a token signed with the wrong key", () => {
+      // Same key ID as the JWKS file's key, but signed with another key
+      const { kid } = JSON.parse(
+        fs.readFileSync(path.join(dir, "jwks.json"), "utf8")
+      ).keys[0];
+      const jwks = JSON.parse(
+        fs.readFileSync(path.join(otherDir, "jwks.json"), "utf8")
+      );
+      jwks.keys[0].kid = kid;
+      fs.writeFileSync(path.join(otherDir, "jwks.json"), JSON.stringify(jwks));
+      const token = devKeys(otherDir, "token", "--sub", "mallory");
+      assert.throws(() => auth.verifyToken(token), {
+        message: "invalid signature"
+      });
+    });
+
+    it("rejects a malformed token", () => {
+      assert.throws(() => auth.verifyToken("not-a-token"), {
+        message: "Malformed token"
+      });
+    });
+
+    it("reads the JWKS file again for a rotated key, at most once a minute", () => {
+      const rotatedDir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+      try {
+        devKeys(rotatedDir, "init");
+        const rotatingAuth = createAuth({
+          jwksFile: path.join(rotatedDir, "jwks.json")
+        });
+        const oldToken = devKeys(rotatedDir, "token", "--sub", "alice");
+        assert.strictEqual(rotatingAuth.verifyToken(oldToken).sub, "alice");
+
+        devKeys(rotatedDir, "init");
+        const newToken = devKeys(rotatedDir, "token", "--sub", "bob");
+        assert.throws(
+          () => rotatingAuth.verifyToken(newToken),
+          /Unknown signing key/
+        );
+
+        const realNow = Date.now;
+        Date.now = () => realNow() + 61000;
+        try {
+          assert.strictEqual(rotatingAuth.verifyToken(newToken).sub, "bob");
+        } finally {
+          Date.now = realNow;
+        }
+      } finally {
+        fs.rmSync(rotatedDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("verifyToken with a shared secret", () => {
+    const secretAuth = createAuth({
+      jwtSecret: "test-secret",
+      issuer: "https://auth.example.com",
+      audience: ["terria", "codex"]
+    });
+    const claims = {
+      sub: "alice",
+      iss: "https://auth.example.com",
+      aud: "terria"
+    };
+
+    it("accepts a token signed with the secret", () => {
+      const token = jwt.sign(claims, "test-secret", { algorithm: "HS512" });
+      assert.strictEqual(secretAuth.verifyToken(token).sub, "alice");
+    });
+
+    it("rejects a token signed with another secret", () => {
+      const token = jwt.sign(claims, "guess");
+      assert.throws(() => secretAuth.verifyToken(token), {
+        message: "invalid signature"
+      });
+    });
+
+    it("rejects a token from another issuer", () => {
+      const token = jwt.sign(
+        { ...claims, iss: "https://evil.example.org" },
+        "test-secret"
+      );
+      assert.throws(() => secretAuth.verifyToken(token), {
+        message: /jwt issuer invalid/
+      });
+    });
+
+    it("rejects a token for another audience", () => {
+      const token = jwt.sign({ ...claims, aud: "other-app" }, "test-secret");
+      assert.throws(() => secretAuth.verifyToken(token), {
+        message: /jwt audience invalid/
+      });
+      const withoutAudience = jwt.sign(
+        { sub: "alice", iss: claims.iss },
+        "test-secret"
+      );
+      assert.throws(() => secretAuth.verifyToken(withoutAudience), {
+        message: /jwt audience invalid/
+      });
+    });
+
+    it("allows 30 seconds of clock difference", () => {
+      const now = Math.floor(Date.now() / 1000);
+      const expiredBy = (seconds) =>
+        jwt.sign({ ...claims, exp: now - seconds }, "test-secret");
+      assert.strictEqual(secretAuth.verifyToken(expiredBy(10)).sub, "alice");
+      assert.throws(() => secretAuth.verifyToken(expiredBy(60)), {
+        name: "TokenExpiredError"
+      });
+      const notYet = jwt.sign({ ...claims, nbf: now + 10 }, "test-secret");
+      assert.strictEqual(secretAuth.verifyToken(notYet).sub, "alice");
+    });
+
+    it("uses the configured clock tolerance", () => {
+      const strictAuth = createAuth({
+        jwtSecret: "test-secret",
+        clockTolerance: "0s"
+      });
+      const token = jwt.sign(
+        { sub: "alice", exp: Math.floor(Date.now() / 1000) - 10 },
+        "test-secret"
+      );
+      assert.throws(() => strictAuth.verifyToken(token), {
+        name: "TokenExpiredError"
+      });
+    });
+  });
+
+  describe("verifyToken with HMAC signed by a public key", () => {
+    // The public key from the JWKS file, as an attacker could fetch it
+    const publicKey = () =>
+      crypto
+        .createPublicKey({
+          key: JSON.parse(fs.readFileSync(path.join(dir, "jwks.json"), "utf8"))
+            .keys[0],
+          format: "jwk"
+        })
+        .export({ type: "spki", format: "pem" });
+
+    it("rejects it without a shared secret", () => {
+      const token = signHs256({ sub: "mallory" }, publicKey());
+      assert.throws(() => auth.verifyToken(token), {
+        message: "No JWT secret configured for HMAC signed tokens"
+      });
+    });
+
+    it("rejects it when a shared secret is also configured", () => {
+      const bothAuth = createAuth({
+        jwtSecret: "test-secret",
+        jwksFile: path.join(dir, "jwks.json")
+      });
+      const token = signHs256({ sub: "mallory" }, publicKey());
+      assert.throws(() => bothAuth.verifyToken(token), {
+        message: "invalid signature"
+      });
+    });
+  });
+
+  describe("authenticate", () => {
+    // The user authenticated for a request
+    const userOf = (headers, method) => {
+      const req = request(headers, method);
+      assert.ok(run(auth.authenticate, req, response(req)));
+      return req.user ? req.user.sub : null;
+    };
+
+    it("accepts the cookie for requests from this site", () => {
+      const cookie = `access_token=${devKeys(dir, "token", "--sub", "alice")}`;
+      assert.strictEqual(userOf({ Cookie: cookie }), "alice");
+      assert.strictEqual(
+        userOf({ Cookie: cookie, "Sec-Fetch-Site": "same-origin" }, "DELETE"),
+        "alice"
+      );
+      assert.strictEqual(
+        userOf({ Cookie: cookie, Origin: "https://maps.example.com" }, "POST"),
+        "alice"
+      );
+    });
+
+    it("ignores the cookie for cross-site requests that change data", () => {
+      const cookie = `access_token=${devKeys(dir, "token", "--sub", "alice")}`;
+      assert.strictEqual(
+        userOf({ Cookie: cookie, "Sec-Fetch-Site": "cross-site" }),
+        "alice"
+      );
+      assert.strictEqual(
+        userOf({ Cookie: cookie, "Sec-Fetch-Site": "cross-site" }, "POST"),
+        null
+      );
+      assert.strictEqual(
+        userOf({ Cookie: cookie, "Sec-Fetch-Site": "same-site" }, "PATCH"),
+        null
+      );
+      assert.strictEqual(
+        userOf({ Cookie: cookie, Origin: "https://evil.example.org" }, "PUT"),
+        null
+      );
+      assert.strictEqual(
+        userOf({ Cookie: cookie, Origin: "null" }, "POST"),
+        null
+      );
+    });
+
+    it("accepts a bearer token from any site", () => {
+      const token = devKeys(dir, "token", "--sub", "alice");
+      assert.strictEqual(
+        userOf(
+          {
+            Authorization: `Bearer ${token}`,
+            "Sec-Fetch-Site": "cross-site"
+          },
+          "POST"
+        ),
+        "alice"
+      );
+    });
+  });
+
+  describe("requireAdmin", () => {
+    // Authenticate a request, then check it with requireAdmin
+    const checkAdmin = (headers) => {
+      const req = request(headers);
+      const res = response(req);
+      assert.ok(run(auth.authenticate, req, res));
+      return { allowed: run(auth.requireAdmin, req, res), req, res };
+    };
+
+    it("allows the admin token", () => {
+      const { allowed, req } = checkAdmin({
+        "X-Admin-Token": "local-admin-token"
+      });
+      assert.ok(allowed);
+      assert.strictEqual(req.user, null);
+    });
+
+    it("allows a user with the admin role", () => {
+      const token = devKeys(dir, "token", "--sub", "alice", "--roles", "admin");
+      const { allowed, req } = checkAdmin({ Authorization: `Bearer ${token}` });
+      assert.ok(allowed);
+      assert.strictEqual(req.user.sub, "alice");
+    });
+
+    it("refuses a wrong admin token with 401", () => {
+      const { allowed, res } = checkAdmin({ "X-Admin-Token": "guess" });
+      assert.ok(!allowed);
+      assert.strictEqual(res.statusCode, 401);
+      assert.strictEqual(res.body.status, 401);
+    });
+
+    it("refuses a user without the admin role with 403", () => {
+      const token = devKeys(dir, "token", "--sub", "bob", "--roles", "editor");
+      const { allowed, res } = checkAdmin({ Cookie: `access_token=${token}` });
+      assert.ok(!allowed);
+      assert.strictEqual(res.statusCode, 403);
+    });
+
+    it("treats an expired token as anonymous", () => {
+      const token = devKeys(
+        dir,
+        "token",
+        "--sub",
+        "alice",
+        "--roles",
+        "admin",
+        "--expires",
+        "1s"
+      );
+      const realNow = Date.now;
+      Date.now = () => realNow() + 60000;
+      try {
+        const { allowed, req, res } = checkAdmin({
+          Authorization: `Bearer ${token}`
+        });
+        assert.ok(!allowed);
+        assert.strictEqual(req.user, null);
+        assert.strictEqual(res.statusCode, 401);
+      } finally {
+        Date.now = realNow;
+      }
+    });
+  });
+});
@@ -0,0 +1,325 @@
+/* jshint node: true */
+"use strict";
+
+/**
+ * Tests of the share service's store and API
+ *
+ * Usage:
+ *   yarn test
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("node:assert");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const createAuth = require("../lib/auth");
+const createShareRouter = require("../lib/share");
+const { ShareDataStore } = createShareRouter;
+const FileStorage = require("../lib/storage/file");
+const LogStorage = require("../lib/storage/log");
+const SqliteStorage = require("../lib/storage/sqlite");
+
+const SECRET = "test-secret";
+const SHARE_DATA = JSON.stringify({ version: "8.0.0", initSources: [] });
+
+// Share data with a different view
+const shareData = (name) =>
+  JSON.stringify({ version: "8.0.0", initSources: [{ name }] });
+
+// Backends that keep their data on the local disk
+const backends = {
+  file: (dir) => new FileStorage({ storageDir: dir }),
+  log: (dir) => new LogStorage({}, { storageDir: dir }),
+  sqlite: (dir) => new SqliteStorage({}, { storageDir: dir })
+};
+
+describe("share", () => {
+  for (const [name, createStorage] of Object.entries(backends)) {
+    describe(`store with the ${name} backend`, () => {
+      let dir;
+      let store;
+
+      beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "share-test-"));
+        store = new ShareDataStore(createStorage(dir));
+        await store.init();
+      });
+
+      afterEach(async () => {
+        if (store.storage.close) {
+          await store.storage.close();
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it("keeps every concurrent change to a share's metadata", async () => {
+        const { id } = await store.save(SHARE_DATA);
+        await Promise.all(
+          Array.from({ length: 20 }, () =>
+            store.storage.updateMeta(id, (metadata) => {
+              metadata.views = (metadata.views || 0) + 1;
+              return metadata;
+            })
+          )
+        );
+        assert.strictEqual((await store.getMetadata(id)).views, 20);
+      });
+
+      it("saves the same view once, however it is formatted", async () => {
+        const shared = [
+          SHARE_DATA,
+          '{ "initSources": [], "version": "8.0.0" }',
+          SHARE_DATA,
+          SHARE_DATA
+        ];
+        const results = await Promise.all(
+          shared.map((content) => store.save(content))
+        );
+        assert.strictEqual(new Set(results.map(({ id }) => id)).size, 1);
+        assert.deepStrictEqual(
+          results.map(({ existing }) => existing),
+          [false, true, true, true]
+        );
+        assert.strictEqual((await store.getMetadata(results[0].id)).refs, 4);
+
+        const other = await store.save(shareData("other"));
+        assert.notStrictEqual(other.id, results[0].id);
+        assert.ok(!other.existing);
+      });
+
+      it("keeps the same view shared with other visibility apart", async () => {
+        const shared = await store.save(SHARE_DATA, { owner: "alice" });
+        const restricted = await store.save(SHARE_DATA, {
+          owner: "alice",
+          visibility: { visibility: "owner" }
+        });
+        assert.ok(restricted.id.startsWith(shared.id));
+        assert.strictEqual(restricted.id.length, shared.id.length + 1);
+        assert.strictEqual(
+          (await store.getMetadata(restricted.id)).visibility,
+          "owner"
+        );
+      });
+
+      it("adds revisions and rolls back to earlier ones", async () => {
+        const { id } = await store.save(shareData("first"));
+        await store.addRevision(id, shareData("second"));
+        const metadata = await store.addRevision(id, shareData("third"));
+        assert.deepStrictEqual(
+          metadata.revisions.map(({ revision }) => revision),
+          [1, 2, 3]
+        );
+
+        const rolledBack = await store.rollback(id, 1);
+        assert.strictEqual(rolledBack.revisions.length, 4);
+        assert.strictEqual(
+          (await store.resolve(id)).content,
+          shareData("first")
+        );
+        assert.strictEqual(
+          (await store.resolve(id, 2)).content,
+          shareData("second")
+        );
+        await assert.rejects(store.rollback(id, 9), { status: 404 });
+
+        // Revisions go once the share is deleted
+        await store.remove(id);
+        assert.strictEqual(await store.storage.readData(`${id}@2`), null);
+      });
+
+      it("adds concurrent revisions one after another", async () => {
+        const { id } = await store.save(shareData("first"));
+        await Promise.all(
+          ["a", "b", "c"].map((name) => store.addRevision(id, shareData(name)))
+        );
+        const metadata = await store.getMetadata(id);
+        assert.strictEqual(metadata.revisions.length, 4);
+        assert.strictEqual((await store.resolve(id)).content, shareData("c"));
+      });
+    });
+  }
+
+  describe("revisions from another process", () => {
+    it("refuses a revision added at the same time with 409", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "share-test-"));
+      try {
+        // Two stores sharing a directory, as two server processes would
+        const stores = [
+          new ShareDataStore(new FileStorage({ storageDir: dir })),
+          new ShareDataStore(new FileStorage({ storageDir: dir }))
+        ];
+        await Promise.all(stores.map((store) => store.init()));
+        const { id } = await stores[0].save(shareData("first"));
+
+        const results = await Promise.allSettled(
+          stores.map((store, i) => store.addRevision(id, shareData(`${i}`)))
+        );
+        const added = results.filter(({ status }) => status === "fulfilled");
+        assert.ok(added.length > 0);
+        for (const { status, reason } of results) {
+          if (status === "rejected") {
+            assert.strictEqual(reason.status, 409);
+          }
+        }
+        const metadata = await stores[0].getMetadata(id);
+        assert.strictEqual(metadata.revisions.length, 1 + added.length);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("log lock", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "share-test-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("lets one process use a log at a time", async () => {
+      const first = new LogStorage({}, { storageDir: dir });
+      const second = new LogStorage({}, { storageDir: dir });
+      await first.init();
+      await assert.rejects(second.init(), /is in use by process \d+/);
+
+      await first.close();
+      await second.init();
+      await second.close();
+    });
+
+    it("takes over the lock of a process that died", async () => {
+      const lockFile = path.join(dir, "store.log.lock");
+      fs.writeFileSync(lockFile, "999999:abandoned");
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(lockFile, old, old);
+
+      const storage = new LogStorage({}, { storageDir: dir });
+      await storage.init();
+      assert.notStrictEqual(
+        fs.readFileSync(lockFile, "utf8"),
+        "999999:abandoned"
+      );
+      await storage.close();
+      assert.ok(!fs.existsSync(lockFile));
+    });
+  });
+
+  describe("references", () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "share-test-"));
+      store = new ShareDataStore(new FileStorage({ storageDir: dir }));
+      await store.init();
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("deletes a shared view with its last reference", async () => {
+      const first = await store.save(SHARE_DATA);
+      const second = await store.save(SHARE_DATA);
+      assert.strictEqual(second.id, first.id);
+      assert.strictEqual(second.metadata.refs, 2);
+
+      assert.ok(await store.remove(first.id));
+      assert.strictEqual((await store.getMetadata(first.id)).refs, 1);
+      assert.strictEqual((await store.resolve(first.id)).content, SHARE_DATA);
+
+      assert.ok(await store.remove(first.id));
+      assert.strictEqual(await store.getMetadata(first.id), null);
+      await assert.rejects(store.resolve(first.id), { status: 404 });
+      assert.ok(!(await store.remove(first.id)));
+    });
+  });
+
+  describe("requests", () => {
+    let dir;
+    let server;
+    let url;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "share-test-"));
+      const app = express();
+      app.use(
+        "/share",
+        createShareRouter({
+          storageDir: dir,
+          prefix: "l",
+          auth: createAuth({ jwtSecret: SECRET }),
+          shareAnalytics: { enabled: false }
+        })
+      );
+      server = app.listen(0);
+      await new Promise((resolve) => server.once("listening", resolve));
+      url = `http://127.0.0.1:${server.address().port}/share`;
+    });
+
+    afterEach(() => {
+      server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const token = jwt.sign({ sub: "alice" }, SECRET);
+
+    // Create a share owned by alice, returning its ID
+    const create = async () => {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json"
+        },
+        body: SHARE_DATA
+      });
+      assert.strictEqual(response.status, 201);
+      return (await response.json()).id;
+    };
+
+    it("refuses bodies that aren't JSON", async () => {
+      const id = await create();
+      for (const [method, path] of [
+        ["POST", ""],
+        ["PATCH", `/${id}`],
+        ["POST", `/${id}/rollback`]
+      ]) {
+        const response = await fetch(url + path, {
+          method,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "text/plain"
+          },
+          body: method === "PATCH" ? '{"title":"changed"}' : SHARE_DATA
+        });
+        assert.strictEqual(response.status, 415);
+        assert.strictEqual(
+          (await response.json()).detail,
+          "Request body must be application/json"
+        );
+      }
+    });
+
+    it("ignores the access_token cookie on cross-site changes", async () => {
+      const id = await create();
+      const remove = (site) =>
+        fetch(`${url}/${id}`, {
+          method: "DELETE",
+          headers: {
+            Cookie: `access_token=${token}`,
+            "Sec-Fetch-Site": site
+          }
+        });
+      assert.strictEqual((await remove("cross-site")).status, 401);
+      assert.strictEqual((await remove("same-origin")).status, 204);
+    });
+  });
+});
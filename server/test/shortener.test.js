@@ -0,0 +1,220 @@
+/* jshint node: true */
+"use strict";
+
+/**
+ * Tests of the URL shortener's click analytics, storage and allowed hosts
+ *
+ * Usage:
+ *   yarn test
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("node:assert");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+const express = require("express");
+const createShortenerRouter = require("../lib/shortener");
+const { URLShortener } = createShortenerRouter;
+const FileStorage = require("../lib/storage/file");
+const LogStorage = require("../lib/storage/log");
+
+const CHROME =
+  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+
+// The file backend writes clicks with updateIndex, the log backend with
+// updateMeta
+const backends = {
+  file: (dir) => new FileStorage({ storageDir: dir }),
+  log: (dir) => new LogStorage({}, { storageDir: dir })
+};
+
+describe("shortener", () => {
+  for (const [name, createStorage] of Object.entries(backends)) {
+    describe(`clicks with the ${name} backend`, () => {
+      let dir;
+      let shortener;
+
+      beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "shortener-test-"));
+        shortener = new URLShortener(createStorage(dir));
+        await shortener.init();
+      });
+
+      afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it("stores referrers whose host is an Object.prototype name", async () => {
+        const { id } = await shortener.shortenUrl("https://example.com/page");
+        for (const referrer of [
+          "http://constructor/",
+          "http://__proto__/",
+          "http://constructor/other",
+          undefined
+        ]) {
+          await shortener.resolveUrl(id, { referrer, userAgent: CHROME });
+        }
+        await shortener.flushClicks();
+
+        const stats = await shortener.getStats(id);
+        assert.strictEqual(stats.clicks, 4);
+        assert.strictEqual(
+          JSON.stringify(stats.referrers),
+          '{"constructor":2,"__proto__":1,"direct":1}'
+        );
+        assert.strictEqual(JSON.stringify(stats.userAgents), '{"Chrome":4}');
+      });
+
+      it("adds clicks from later flushes to the stored counts", async () => {
+        const { id } = await shortener.shortenUrl("https://example.com/page");
+        for (let flush = 0; flush < 2; flush++) {
+          await shortener.resolveUrl(id, {
+            referrer: "http://constructor/",
+            userAgent: CHROME
+          });
+          await shortener.flushClicks();
+        }
+
+        const stats = await shortener.getStats(id);
+        assert.strictEqual(stats.clicks, 2);
+        assert.strictEqual(
+          Object.getOwnPropertyDescriptor(stats.referrers, "constructor").value,
+          2
+        );
+      });
+    });
+  }
+
+  describe("storage that fails to initialise", () => {
+    let dir;
+    let server;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "shortener-test-"));
+    });
+
+    afterEach(() => {
+      if (server) {
+        server.close();
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Serve the shortener with storage under a path that is a file, so
+    // the storage can't be created until the file is removed
+    const serveBlocked = async (storage) => {
+      const blocker = path.join(dir, "blocked");
+      fs.writeFileSync(blocker, "");
+      const app = express();
+      app.use(
+        "/s",
+        createShortenerRouter({
+          storageDir: path.join(blocker, "url-data"),
+          storage,
+          allowAllHosts: true
+        })
+      );
+      server = app.listen(0);
+      await new Promise((resolve) => server.once("listening", resolve));
+      return {
+        blocker,
+        url: `http://127.0.0.1:${server.address().port}/s`
+      };
+    };
+
+    const shorten = (url) =>
+      fetch(`${url}/api/shorten`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url: "https://example.com/page" })
+      });
+
+    for (const service of ["file", "log", "sqlite"]) {
+      it(`answers 503 until ${service} storage can be initialised`, async () => {
+        const { blocker, url } = await serveBlocked({ service });
+        const unavailable = await shorten(url);
+        assert.strictEqual(unavailable.status, 503);
+        assert.strictEqual(
+          (await unavailable.json()).detail,
+          "URL shortener storage is unavailable"
+        );
+
+        fs.rmSync(blocker);
+        const created = await shorten(url);
+        assert.strictEqual(created.status, 201);
+        const again = await shorten(url);
+        assert.strictEqual(again.status, 200);
+      });
+    }
+
+    it("reloads the log from scratch when init is tried again", async () => {
+      const file = path.join(dir, "urls.log");
+      const line = (id) =>
+        `{"op":"data","id":"${id}","value":"https://example.com/${id}"}\n`;
+      // A corrupt line before the last one fails init
+      fs.writeFileSync(file, `${line("abc123")}not json\n${line("def456")}`);
+      const storage = new LogStorage({ file });
+      await assert.rejects(storage.init(), /Corrupt entry on line 2/);
+
+      // Links read before the failure are gone once the log is repaired
+      fs.writeFileSync(file, line("def456"));
+      await storage.init();
+      assert.strictEqual(await storage.readData("abc123"), null);
+      assert.strictEqual(
+        await storage.readData("def456"),
+        "https://example.com/def456"
+      );
+    });
+  });
+
+  describe("allowed hosts", () => {
+    let dir;
+    let server;
+
+    afterEach(() => {
+      server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Serve the shortener and return a function shortening a URL with it
+    const serve = async (options) => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "shortener-test-"));
+      const app = express();
+      app.use("/s", createShortenerRouter({ storageDir: dir, ...options }));
+      server = app.listen(0);
+      await new Promise((resolve) => server.once("listening", resolve));
+      return (url) =>
+        fetch(`http://127.0.0.1:${server.address().port}/s/api/shorten`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ url })
+        });
+    };
+
+    it("only allows links to this site by default", async () => {
+      const shorten = await serve();
+      assert.strictEqual((await shorten("http://127.0.0.1/twin/")).status, 201);
+      const rejected = await shorten(
+        "https://s3-ap-southeast-2.amazonaws.com/bucket/login.html"
+      );
+      assert.strictEqual(rejected.status, 400);
+      assert.strictEqual(
+        (await rejected.json()).detail,
+        "Links may only point to this site or the shortener's allowed hosts"
+      );
+    });
+
+    it("allows the listed domains and their subdomains", async () => {
+      const shorten = await serve({ allowedHosts: ["gov.au"] });
+      assert.strictEqual(
+        (await shorten("https://data.gov.au/dataset")).status,
+        201
+      );
+      assert.strictEqual(
+        (await shorten("https://evilgov.au/dataset")).status,
+        400
+      );
+    });
+  });
+});